@@ -0,0 +1,415 @@
+#!/usr/bin/env node
+/**
+ * neuralca.js - Command-line runner for training and evaluating Neural Cellular Automata without a browser
+ *
+ *     node bin/neuralca.js train --target shape.txt --generations 500 --out model.json
+ *     node bin/neuralca.js evaluate --model model.json
+ *
+ * Target files are text rows of '#' (on) and '.' (off) - '1'/'0' also work - or a JSON 2D array.
+ * Saved models use the same format as the browser's Download Model button (see ModelStorage.js).
+ */
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const {
+    Grid,
+    NeuralNetwork,
+    CellularAutomata,
+    Game,
+    Trainer,
+    ModelStorage,
+    Random
+} = require('../js/node');
+
+const USAGE = `Usage:
+  neuralca train --target <file>[,<file>...] [options]
+  neuralca evaluate --model <file> [--target <file>[,<file>...]] [--gen-steps N]
+
+Training:
+  --target <file>            Target shape (text rows of '#'/'.' or a JSON 2D array); several
+                             comma-separated files train one network on all of them, each grown
+                             from a seed whose hidden channels encode its index
+  --out <file>               Model output file (default: model.json)
+  --loss-out <file>          Loss history output file (default: <out> with .loss.json)
+  --mode <ga|es|gradient>    Training mode (default: ga)
+  --generations <n>          Generations (GA, ES) or iterations (gradient) (default: 100)
+  --gen-steps <n>            CA steps per evaluation (default: 50)
+  --seed <n>                 Run seed for weight initialization, GA, ES noise and stochastic firing;
+                             the same seed and options reproduce a run (default: random, recorded in the model)
+  --population <n>           GA population size / ES evaluations per generation (default: 30)
+  --mutation-rate <x>        GA mutation rate (default: 0.15)
+  --mutation-strength <x>    GA mutation strength (default: 0.02)
+  --elite <n>                GA elite count (default: 2)
+  --selection <name>         GA parent selection: top2, tournament, roulette, rank or truncation
+                             (default: top2, the two best individuals)
+  --tournament-size <n>      GA tournament size (default: 3)
+  --truncation-ratio <x>     GA fraction of the population kept as parents by truncation (default: 0.5)
+  --rank-pressure <x>        GA rank selection pressure in [1, 2] (default: 1.5)
+  --crossover <name>         GA crossover: uniform, layer, neuron or blend (default: uniform)
+  --blend-alpha <x>          GA blend crossover range extension (default: 0)
+  --mutation-schedule <name> GA mutation strength: fixed, annealed or selfAdaptive (default: fixed)
+  --annealing-rate <x>       GA annealed mutation strength factor per generation (default: 0.98)
+  --self-adaptive-rate <x>   GA self-adaptive mutation learning rate (default: 0.2)
+  --fitness <name>           GA objective combination: weighted or pareto (NSGA-II ranking) (default: weighted)
+  --persistence-steps <n>    GA: also score n steps after gen-steps for persistence and stability (default: 0)
+  --shape-weight <x>         GA weight of the loss at gen-steps (default: 1)
+  --persistence-weight <x>   GA weight of the mean loss over the persistence window (default: 1)
+  --stability-weight <x>     GA weight of the change per step over the persistence window (default: 1)
+  --damage <shape>           GA regeneration training: erase a disc or rect of the growing pattern at a
+                             random step each generation and score the regrown shape (default: none)
+  --damage-size <n>          GA damage radius in cells (default: 1)
+  --recovery-steps <n>       GA steps after gen-steps to regrow from damage (default: 20)
+  --pool-size <n>            GA and gradient: start evaluations from a pool of n evolved grid states
+                             instead of the seed (default: 0, off)
+  --pool-batch <n>           GA and gradient: pooled states per generation / iteration (default: 4)
+  --sequential               GA: evaluate individuals one at a time instead of as one batch
+  --learning-rate <x>        Gradient mode learning rate (default: 0.001)
+  --es-sigma <x>             ES parameter noise standard deviation (default: 0.02)
+  --es-learning-rate <x>     ES Adam step size (default: 0.01)
+  --loss-every <n>           Gradient mode: loss every N steps (default: 4)
+  --target-loss <x>          Stop once the loss is at most x (e.g. 0 for no pixel errors)
+  --patience <n>             Stop after n generations without improvement
+  --time-budget <s>          Stop after s seconds
+  --checkpoint <file>        Write a GA checkpoint when training ends
+  --resume <file>            Resume GA training from a checkpoint
+
+Grid and update rule:
+  --grid-width <n>           Grid width (default: 9)
+  --grid-height <n>          Grid height (default: 9)
+  --hidden-channels <n>      Hidden state floats per cell (default: 2)
+  --neighborhood <name>      vonNeumann, moore or custom offsets "dx,dy dx,dy ..." (default: vonNeumann)
+  --neighborhood-radius <n>  Radius for vonNeumann / moore (default: 1)
+  --boundary <name>          wrap, zero or mirror (default: wrap)
+  --continuous               Continuous-valued alive channel
+  --update-rule <name>       replace or residual (default: replace)
+  --fire-rate <x>            Probability that a cell updates each step (default: 1.0)
+  --alive-masking            Zero cells with no live neighbor
+  --tensor                   Keep CA state on the GPU/tensor backend between steps
+`;
+
+/**
+ * Parse command-line arguments into a command and an options object
+ * Flags without a value (e.g. --continuous) are set to true
+ * @param {Array<string>} argv - Arguments after the script name
+ * @returns {Object} { command, options }
+ */
+function parseArgs(argv) {
+    const [command, ...rest] = argv;
+    const options = {};
+    
+    for (let i = 0; i < rest.length; i++) {
+        const arg = rest[i];
+        if (!arg.startsWith('--')) {
+            throw new Error(`Unexpected argument: ${arg}`);
+        }
+        
+        const key = arg.slice(2);
+        const next = rest[i + 1];
+        if (next === undefined || next.startsWith('--')) {
+            options[key] = true;
+        } else {
+            options[key] = next;
+            i++;
+        }
+    }
+    
+    return { command, options };
+}
+
+/**
+ * Read a numeric option
+ * @param {Object} options - Parsed options
+ * @param {string} key - Option name
+ * @param {number} fallback - Value if the option is missing
+ * @returns {number} Option value
+ */
+function numberOption(options, key, fallback) {
+    if (options[key] === undefined) {
+        return fallback;
+    }
+    
+    const value = Number(options[key]);
+    if (!Number.isFinite(value)) {
+        throw new Error(`--${key} must be a number`);
+    }
+    return value;
+}
+
+/**
+ * Parse a target shape file
+ * @param {string} text - File contents: text rows of '#'/'.' (or '1'/'0') or a JSON 2D array
+ * @returns {Array<Array<boolean>>} Target shape
+ */
+function parseTarget(text) {
+    const trimmed = text.trim();
+    let rows;
+    
+    if (trimmed.startsWith('[')) {
+        rows = JSON.parse(trimmed).map(row => row.map(value => !!value));
+    } else {
+        rows = trimmed.split(/\r?\n/).map(line => line.trim()).filter(line => line.length > 0)
+            .map(line => Array.from(line).map(char => char === '#' || char === '1' || char === 'X' || char === 'x'));
+    }
+    
+    if (rows.length === 0 || rows.some(row => row.length !== rows[0].length)) {
+        throw new Error('Target must be a non-empty rectangle (all rows the same length)');
+    }
+    return rows;
+}
+
+/**
+ * Read the target shapes of a --target option
+ * @param {string} option - One file or comma-separated files
+ * @returns {Array<Array<Array<boolean>>>} Target shapes, all the same size
+ */
+function readTargets(option) {
+    const targets = option.split(',').map(file => parseTarget(fs.readFileSync(file.trim(), 'utf8')));
+    if (targets.some(shape => shape.length !== targets[0].length || shape[0].length !== targets[0][0].length)) {
+        throw new Error('All targets must be the same size');
+    }
+    return targets;
+}
+
+/**
+ * Render the alive channel of the grid as text (continuous values are thresholded at 0.5)
+ * @param {Grid} grid - Grid to render
+ * @returns {string} One line per row, '#' for on and '.' for off
+ */
+function formatGrid(grid) {
+    const lines = [];
+    for (let y = 0; y < grid.height; y++) {
+        let line = '';
+        for (let x = 0; x < grid.width; x++) {
+            line += Grid.aliveValue(grid.getCell(x, y)) > 0.5 ? '#' : '.';
+        }
+        lines.push(line);
+    }
+    return lines.join('\n');
+}
+
+/**
+ * Write a JSON file, creating its directory if needed
+ * @param {string} file - Output path
+ * @param {Object} data - JSON-serializable data
+ */
+function writeJSON(file, data) {
+    fs.mkdirSync(path.dirname(path.resolve(file)), { recursive: true });
+    fs.writeFileSync(file, JSON.stringify(data));
+}
+
+/**
+ * Train a network on one or more target shapes and write the model and loss history
+ * @param {Object} options - Parsed command-line options
+ */
+async function train(options) {
+    if (typeof options.target !== 'string') {
+        throw new Error('train requires --target <file>');
+    }
+    
+    const targets = readTargets(options.target);
+    const targetHeight = targets[0].length;
+    const targetWidth = targets[0][0].length;
+    const genSteps = numberOption(options, 'gen-steps', 50);
+    const generations = numberOption(options, 'generations', 100);
+    const out = typeof options.out === 'string' ? options.out : 'model.json';
+    const lossOut = typeof options['loss-out'] === 'string'
+        ? options['loss-out']
+        : out.replace(/\.json$/i, '') + '.loss.json';
+    
+    const neighborhood = options.neighborhood === undefined || ['vonNeumann', 'moore'].includes(options.neighborhood)
+        ? options.neighborhood
+        : String(options.neighborhood).trim().split(/[\s;]+/).map(pair => pair.split(',').map(Number));
+    
+    const grid = new Grid(numberOption(options, 'grid-width', 9), numberOption(options, 'grid-height', 9), {
+        hiddenChannels: numberOption(options, 'hidden-channels', 2),
+        neighborhood: neighborhood,
+        neighborhoodRadius: numberOption(options, 'neighborhood-radius', 1),
+        boundary: options.boundary,
+        continuousAlive: !!options.continuous
+    });
+    if (targetWidth > grid.width || targetHeight > grid.height) {
+        throw new Error(`Target ${targetWidth}×${targetHeight} does not fit in grid ${grid.width}×${grid.height}`);
+    }
+    
+    const neuralNetwork = new NeuralNetwork({
+        hiddenSize1: 16,
+        hiddenSize2: 16,
+        hiddenChannels: grid.hiddenChannels,
+        neighborhoodSize: grid.neighborhoodSize
+    });
+    // One seed drives every random source of the run (see Trainer.getRunSeed)
+    const seed = options.seed !== undefined ? numberOption(options, 'seed', 0) >>> 0 : Random.randomSeed();
+    neuralNetwork.initialize(seed);
+    
+    const cellularAutomata = new CellularAutomata(grid, neuralNetwork, {
+        tensorResident: !!options.tensor,
+        updateRule: options['update-rule'],
+        fireRate: numberOption(options, 'fire-rate', 1.0),
+        aliveMasking: !!options['alive-masking']
+    });
+    
+    const trainer = new Trainer(grid, neuralNetwork, cellularAutomata, {
+        mode: options.mode || 'ga',
+        populationSize: numberOption(options, 'population', 30),
+        mutationRate: numberOption(options, 'mutation-rate', 0.15),
+        mutationStrength: numberOption(options, 'mutation-strength', 0.02),
+        eliteCount: numberOption(options, 'elite', 2),
+        selection: options.selection,
+        tournamentSize: numberOption(options, 'tournament-size', 3),
+        truncationRatio: numberOption(options, 'truncation-ratio', 0.5),
+        rankPressure: numberOption(options, 'rank-pressure', 1.5),
+        crossover: options.crossover,
+        blendAlpha: numberOption(options, 'blend-alpha', 0),
+        mutationSchedule: options['mutation-schedule'],
+        annealingRate: numberOption(options, 'annealing-rate', 0.98),
+        selfAdaptiveRate: numberOption(options, 'self-adaptive-rate', 0.2),
+        fitnessMode: options.fitness,
+        persistenceSteps: numberOption(options, 'persistence-steps', 0),
+        shapeWeight: numberOption(options, 'shape-weight', 1),
+        persistenceWeight: numberOption(options, 'persistence-weight', 1),
+        stabilityWeight: numberOption(options, 'stability-weight', 1),
+        damage: options.damage,
+        damageSize: numberOption(options, 'damage-size', 1),
+        recoverySteps: numberOption(options, 'recovery-steps', 20),
+        poolSize: numberOption(options, 'pool-size', 0),
+        poolBatchSize: numberOption(options, 'pool-batch', 4),
+        batchedEvaluation: !options.sequential,
+        learningRate: numberOption(options, 'learning-rate', 0.001),
+        lossEveryNSteps: numberOption(options, 'loss-every', 4),
+        esSigma: numberOption(options, 'es-sigma', 0.02),
+        esLearningRate: numberOption(options, 'es-learning-rate', 0.01),
+        targetLoss: numberOption(options, 'target-loss', null),
+        patience: numberOption(options, 'patience', 0),
+        timeBudget: numberOption(options, 'time-budget', 0),
+        targetWidth: targetWidth,
+        targetHeight: targetHeight,
+        genSteps: genSteps,
+        seed: seed
+    });
+    
+    let resume = false;
+    if (typeof options.resume === 'string') {
+        trainer.loadCheckpoint(JSON.parse(fs.readFileSync(options.resume, 'utf8')));
+        resume = true;
+        
+        // GA options given on the command line override the checkpoint's settings
+        const overrides = {
+            'population': 'populationSize',
+            'mutation-rate': 'mutationRate',
+            'mutation-strength': 'mutationStrength',
+            'elite': 'eliteCount',
+            'tournament-size': 'tournamentSize',
+            'truncation-ratio': 'truncationRatio',
+            'rank-pressure': 'rankPressure',
+            'blend-alpha': 'blendAlpha',
+            'annealing-rate': 'annealingRate',
+            'self-adaptive-rate': 'selfAdaptiveRate',
+            'persistence-steps': 'persistenceSteps',
+            'shape-weight': 'shapeWeight',
+            'persistence-weight': 'persistenceWeight',
+            'stability-weight': 'stabilityWeight',
+            'damage-size': 'damageSize',
+            'recovery-steps': 'recoverySteps',
+            'pool-size': 'poolSize',
+            'pool-batch': 'poolBatchSize'
+        };
+        for (const [key, param] of Object.entries(overrides)) {
+            if (options[key] !== undefined) {
+                trainer[param] = numberOption(options, key, trainer[param]);
+            }
+        }
+        for (const [key, param] of [['selection', 'selection'], ['crossover', 'crossover'], ['mutation-schedule', 'mutationSchedule'], ['fitness', 'fitnessMode'], ['damage', 'damage']]) {
+            if (options[key] !== undefined) {
+                trainer[param] = options[key];
+            }
+        }
+    }
+    
+    // Stop cleanly on Ctrl+C and still write the best network so far
+    process.once('SIGINT', () => {
+        console.log('Stopping after the current generation...');
+        trainer.stopTraining();
+    });
+    
+    console.log(`Run seed: ${resume ? trainer.getRunSeed() : seed}`);
+    const start = Date.now();
+    await trainer.train(targets, generations, (generation, loss) => {
+        console.log(`[${((Date.now() - start) / 1000).toFixed(1)}s] ${generation}: loss = ${loss.toFixed(6)}`);
+        return true;
+    }, { resume: resume });
+    if (trainer.getBatchedFallbackReason()) {
+        console.warn(`Batched evaluation unavailable (${trainer.getBatchedFallbackReason()}), evaluated one network at a time`);
+    }
+    
+    writeJSON(out, ModelStorage.serialize({
+        neuralNetwork: neuralNetwork,
+        cellularAutomata: cellularAutomata,
+        game: trainer.game,
+        targetShape: targets,
+        genSteps: genSteps,
+        seed: trainer.getRunSeed()
+    }));
+    writeJSON(lossOut, trainer.getLossHistory());
+    console.log(`Model written to ${out}, loss history to ${lossOut}`);
+    
+    if (typeof options.checkpoint === 'string' && trainer.mode === 'ga') {
+        writeJSON(options.checkpoint, trainer.saveCheckpoint());
+        console.log(`Checkpoint written to ${options.checkpoint}`);
+    }
+    
+    trainer.dispose();
+    neuralNetwork.dispose();
+}
+
+/**
+ * Run a saved model from the seed cell of each target and print the final grids and losses
+ * @param {Object} options - Parsed command-line options
+ */
+function evaluate(options) {
+    if (typeof options.model !== 'string') {
+        throw new Error('evaluate requires --model <file>');
+    }
+    
+    const restored = ModelStorage.restore(ModelStorage.fromJSON(fs.readFileSync(options.model, 'utf8')));
+    const targets = typeof options.target === 'string'
+        ? readTargets(options.target)
+        : restored.targets;
+    const genSteps = numberOption(options, 'gen-steps', restored.genSteps || 50);
+    
+    const game = new Game(restored.grid, restored.cellularAutomata, {
+        targetWidth: targets[0][0].length,
+        targetHeight: targets[0].length
+    });
+    game.validateTargets(targets);
+    targets.forEach((targetShape, index) => {
+        game.resetToSeed(index);
+        const loss = game.run(genSteps, targetShape);
+        
+        if (targets.length > 1) {
+            console.log(`Target ${index + 1}:`);
+        }
+        console.log(formatGrid(restored.grid));
+        console.log(`Loss after ${genSteps} steps: ${loss.toFixed(6)}`);
+    });
+    
+    restored.neuralNetwork.dispose();
+}
+
+async function main() {
+    const { command, options } = parseArgs(process.argv.slice(2));
+    
+    if (command === 'train') {
+        await train(options);
+    } else if (command === 'evaluate') {
+        evaluate(options);
+    } else {
+        console.log(USAGE);
+        process.exitCode = command && command !== 'help' && command !== '--help' ? 1 : 0;
+    }
+}
+
+main().catch(error => {
+    console.error(error.message);
+    process.exitCode = 1;
+});
@@ -1,18 +1,39 @@
 /**
  * CellularAutomata.js - Coordinates Grid and NeuralNetwork for CA updates
  * Implements synchronous update loop: compute all new states, then apply simultaneously
+ * Update rules:
+ * - 'replace': the network output (sigmoid alive, tanh state) replaces the cell state
+ * - 'residual': the raw network output is a delta added to the current state ("growing NCA" style)
+ * With fireRate < 1, each cell only updates with that probability per step (asynchronous updates)
+ * With aliveMasking, a cell keeps its state only if some cell in its neighborhood was alive (above
+ * aliveThreshold) both before and after the step; otherwise its whole state is zeroed
  */
 class CellularAutomata {
     /**
      * Create a new Cellular Automata instance
      * @param {Grid} grid - The grid instance to update
      * @param {NeuralNetwork} neuralNetwork - The neural network for state prediction
+     * @param {Object} config - Configuration object
+     * @param {boolean} config.tensorResident - Keep grid state as a tensor across steps (default: false)
+     * @param {string} config.updateRule - 'replace' or 'residual' (default: 'replace')
+     * @param {number} config.fireRate - Probability that a cell updates on each step (default: 1.0)
+     * @param {boolean} config.aliveMasking - Zero cells with no live neighborhood (default: false)
+     * @param {number} config.aliveThreshold - Alive value a neighbor must exceed for masking (default: 0.1)
+     * @param {number} config.seed - Seed for stochastic firing (default: random)
      */
-    constructor(grid, neuralNetwork) {
+    constructor(grid, neuralNetwork, config = {}) {
         if (!grid || !neuralNetwork) {
             throw new Error('CellularAutomata requires both grid and neuralNetwork');
         }
         
+        if (grid.hiddenChannels !== neuralNetwork.hiddenChannels) {
+            throw new Error(`Grid has ${grid.hiddenChannels} hidden channels but the neural network expects ${neuralNetwork.hiddenChannels}`);
+        }
+        
+        if (grid.neighborhoodSize !== neuralNetwork.neighborhoodSize) {
+            throw new Error(`Grid neighborhood has ${grid.neighborhoodSize} cells but the neural network expects ${neuralNetwork.neighborhoodSize}`);
+        }
+        
         this.grid = grid;
         this.neuralNetwork = neuralNetwork;
         this.isRunning = false;
@@ -23,6 +44,51 @@ class CellularAutomata {
         this.currentStep = 0; // Current step count
         this.isContinuous = false; // If true, ignore maxSteps
         this.completionCallback = null; // Callback called when run completes (due to step limit)
+        this.tensorResident = config.tensorResident || false; // If true, steps run on a tensor copy of the grid
+        this.updateRule = 'replace';
+        this.fireRate = 1.0;
+        this.setUpdateRule(config.updateRule || 'replace', config.fireRate !== undefined ? config.fireRate : 1.0);
+        this.aliveMasking = false;
+        this.aliveThreshold = 0.1;
+        this.setAliveMasking(config.aliveMasking || false, config.aliveThreshold !== undefined ? config.aliveThreshold : 0.1);
+        this.random = new Random(config.seed); // Stochastic firing (see setSeed)
+    }
+    
+    /**
+     * Restart the random sequence used for stochastic firing, so fireRate < 1 runs are reproducible
+     * @param {number|null} seed - 32-bit integer seed (null picks a random seed)
+     */
+    setSeed(seed) {
+        this.random = new Random(seed);
+    }
+    
+    /**
+     * Enable or disable alive masking
+     * @param {boolean} enabled - If true, cells without a live neighborhood are zeroed each step
+     * @param {number} threshold - Alive value a neighbor must exceed to count as alive (default: 0.1)
+     */
+    setAliveMasking(enabled, threshold = 0.1) {
+        if (!(threshold >= 0 && threshold < 1)) {
+            throw new Error('Alive threshold must be in [0, 1)');
+        }
+        this.aliveMasking = !!enabled;
+        this.aliveThreshold = threshold;
+    }
+    
+    /**
+     * Set the update rule and per-step fire probability
+     * @param {string} updateRule - 'replace' or 'residual'
+     * @param {number} fireRate - Probability in (0, 1] that a cell updates on each step (default: 1.0)
+     */
+    setUpdateRule(updateRule, fireRate = 1.0) {
+        if (updateRule !== 'replace' && updateRule !== 'residual') {
+            throw new Error(`Unknown update rule: ${updateRule}`);
+        }
+        if (!(fireRate > 0 && fireRate <= 1)) {
+            throw new Error('Fire rate must be in (0, 1]');
+        }
+        this.updateRule = updateRule;
+        this.fireRate = fireRate;
     }
     
     /**
@@ -34,6 +100,11 @@ class CellularAutomata {
             throw new Error('Neural network not initialized. Call neuralNetwork.initialize() first.');
         }
         
+        if (this.tensorResident) {
+            this._runTensorSteps(1);
+            return;
+        }
+        
         // Phase 1: Compute all new states from current state
         // We'll collect all inputs first for batch processing (more efficient)
         const inputs = [];
@@ -41,24 +112,171 @@ class CellularAutomata {
         
         for (let y = 0; y < this.grid.height; y++) {
             for (let x = 0; x < this.grid.width; x++) {
-                // Get neighbor input (30 values)
+                // Get neighbor input (neighborhoodSize × channels values)
                 const input = this.grid.getNeighborInput(x, y);
                 inputs.push(input);
                 cellPositions.push({ x, y });
             }
         }
         
+        // Alive mask before the update: which cells have a live neighborhood
+        const preAlive = this.aliveMasking ? cellPositions.map(({ x, y }) => this._hasLiveNeighborhood(x, y)) : null;
+        
         // Phase 2: Run neural network on all cells (batch prediction for efficiency)
-        const newStates = this.neuralNetwork.predictBatch(inputs);
+        let newStates;
+        if (this.updateRule === 'residual') {
+            const deltas = this.neuralNetwork.predictBatchRaw(inputs);
+            newStates = cellPositions.map(({ x, y }, i) =>
+                this._applyResidual(this.grid.getCell(x, y), deltas, i * this.grid.channels)
+            );
+        } else {
+            newStates = this.neuralNetwork.predictBatch(inputs, {
+                continuousAlive: this.grid.continuousAlive
+            });
+        }
         
         // Phase 3: Apply all new states simultaneously
         for (let i = 0; i < cellPositions.length; i++) {
+            // Stochastic firing: cells that don't fire keep their current state this step
+            if (this.fireRate < 1 && this.random.next() >= this.fireRate) {
+                continue;
+            }
+            
             const { x, y } = cellPositions[i];
             const newState = newStates[i];
             
             // Update cell with new state
             this.grid.setCell(x, y, newState.on, newState.stateVector);
         }
+        
+        // Phase 4: Alive masking - zero cells whose neighborhood was dead before or after the step
+        if (this.aliveMasking) {
+            const postAlive = cellPositions.map(({ x, y }) => this._hasLiveNeighborhood(x, y));
+            const emptyState = new Float32Array(this.grid.hiddenChannels);
+            for (let i = 0; i < cellPositions.length; i++) {
+                if (!preAlive[i] || !postAlive[i]) {
+                    const { x, y } = cellPositions[i];
+                    this.grid.setCell(x, y, 0, emptyState);
+                }
+            }
+        }
+    }
+    
+    /**
+     * Internal method: check whether any cell in the neighborhood of (x, y) is alive above aliveThreshold
+     * @param {number} x - Column index
+     * @param {number} y - Row index
+     * @returns {boolean} True if the neighborhood contains a live cell
+     */
+    _hasLiveNeighborhood(x, y) {
+        return this.grid.getNeighbors(x, y).some(neighbor => Grid.aliveValue(neighbor) > this.aliveThreshold);
+    }
+    
+    /**
+     * Internal method: add a raw network output (delta) to a cell's current state
+     * The alive value is clamped to [0, 1] (and thresholded at 0.5 unless the grid is continuous),
+     * the state vector is clamped to [-1, 1] to match the tanh range of the replace rule
+     * @param {Object} cell - Current cell state
+     * @param {Float32Array} deltas - Flat raw network outputs
+     * @param {number} baseIdx - Index of this cell's first output in deltas
+     * @returns {Object} { on: boolean|number, stateVector: Float32Array(hiddenChannels) }
+     */
+    _applyResidual(cell, deltas, baseIdx) {
+        const clamp = (value, min, max) => Math.min(max, Math.max(min, value));
+        
+        const alive = clamp(Grid.aliveValue(cell) + deltas[baseIdx], 0, 1);
+        const stateVector = new Float32Array(this.grid.hiddenChannels);
+        for (let i = 0; i < this.grid.hiddenChannels; i++) {
+            stateVector[i] = clamp(cell.stateVector[i] + deltas[baseIdx + i + 1], -1, 1);
+        }
+        
+        return {
+            on: this.grid.continuousAlive ? alive : alive > 0.5,
+            stateVector: stateVector
+        };
+    }
+    
+    /**
+     * Perform several synchronous update steps
+     * In tensor-resident mode the state stays a tensor for all steps and is written back
+     * to the grid once at the end; otherwise this calls update() numSteps times
+     * @param {number} numSteps - Number of CA steps to run
+     */
+    runSteps(numSteps) {
+        if (!this.tensorResident) {
+            for (let step = 0; step < numSteps; step++) {
+                this.update();
+            }
+            return;
+        }
+        
+        if (!this.neuralNetwork.isInitialized) {
+            throw new Error('Neural network not initialized. Call neuralNetwork.initialize() first.');
+        }
+        this._runTensorSteps(numSteps);
+    }
+    
+    /**
+     * Enable or disable tensor-resident updates
+     * @param {boolean} enabled - If true, steps run on a tensor copy of the grid
+     */
+    setTensorResident(enabled) {
+        this.tensorResident = !!enabled;
+    }
+    
+    /**
+     * Internal method: run steps on a tensor copy of the grid and sync back once
+     * @param {number} numSteps - Number of CA steps to run
+     */
+    _runTensorSteps(numSteps) {
+        let state = this.grid.toTensor();
+        for (let step = 0; step < numSteps; step++) {
+            const nextState = this._stepTensorState(state);
+            state.dispose();
+            state = nextState;
+        }
+        
+        // Sync back to the grid for rendering or scoring
+        this.grid.fromTensor(state);
+        state.dispose();
+    }
+    
+    /**
+     * Internal method: one non-differentiable tensor step matching update()
+     * The on/off channel is thresholded at 0.5 exactly like NeuralNetwork.predictBatch,
+     * unless the grid keeps a continuous alive channel
+     * @param {tf.Tensor} state - Grid state tensor [height, width, channels]
+     * @returns {tf.Tensor} New grid state tensor [height, width, channels]
+     */
+    _stepTensorState(state) {
+        return tf.tidy(() => this.updateTensor(state, true));
+    }
+    
+    /**
+     * One non-differentiable step for a batch of grids, each with its own network
+     * Same update rule, fire rate, alive masking and thresholding as _stepTensorState()
+     * @param {tf.Tensor} batchState - Grid states [batch, height, width, channels]
+     * @param {Function} applyNetwork - Maps inputs [batch, cells, inputSize] to raw outputs [batch, cells, channels]
+     *        (e.g. NeuralNetwork.applyStacked with one network per grid)
+     * @returns {tf.Tensor} New grid states [batch, height, width, channels]
+     */
+    stepTensorBatch(batchState, applyNetwork) {
+        return tf.tidy(() => this.updateTensorBatch(batchState, applyNetwork, true));
+    }
+    
+    /**
+     * Internal method: threshold the on/off channel (last axis, index 0) at 0.5 exactly like
+     * NeuralNetwork.predictBatch, unless the grid keeps a continuous alive channel
+     * @param {tf.Tensor} state - State tensor [..., channels]
+     * @returns {tf.Tensor} State tensor with the same shape
+     */
+    _thresholdAlive(state) {
+        if (this.grid.continuousAlive) {
+            return state;
+        }
+        
+        const [onOffRaw, stateVec] = this._splitAlive(state);
+        return tf.concat([onOffRaw.greater(0.5).cast('float32'), stateVec], state.rank - 1);
     }
     
     /**
@@ -173,6 +391,20 @@ class CellularAutomata {
         return this.isRunning;
     }
     
+    /**
+     * Get the update configuration (the config object accepted by the constructor)
+     * @returns {Object} { tensorResident, updateRule, fireRate, aliveMasking, aliveThreshold }
+     */
+    getConfig() {
+        return {
+            tensorResident: this.tensorResident,
+            updateRule: this.updateRule,
+            fireRate: this.fireRate,
+            aliveMasking: this.aliveMasking,
+            aliveThreshold: this.aliveThreshold
+        };
+    }
+    
     /**
      * Reset the CA to initial state (clears the grid)
      */
@@ -185,8 +417,8 @@ class CellularAutomata {
      * Set a specific cell state manually (useful for initialization)
      * @param {number} x - Column index
      * @param {number} y - Row index
-     * @param {boolean} on - On/off state
-     * @param {Float32Array} stateVector - Optional state vector (2 floats)
+     * @param {boolean|number} on - On/off state (alive value in [0, 1] with continuousAlive)
+     * @param {Float32Array} stateVector - Optional state vector (hiddenChannels floats)
      */
     setCell(x, y, on, stateVector = null) {
         this.grid.setCell(x, y, on, stateVector);
@@ -196,87 +428,163 @@ class CellularAutomata {
      * Get a cell state
      * @param {number} x - Column index
      * @param {number} y - Row index
-     * @returns {Object} Cell state { on: boolean, stateVector: Float32Array(2) }
+     * @returns {Object} Cell state { on: boolean, stateVector: Float32Array(hiddenChannels) }
      */
     getCell(x, y) {
         return this.grid.getCell(x, y);
     }
     
     /**
-     * Perform a differentiable CA update step using tensors with torus boundary conditions
+     * Gather every cell's neighbors for a batch of grids
+     * Uses the grid's neighbor index table (one gather, any boundary condition or radius); with 'zero'
+     * boundaries an empty cell is appended that out-of-grid neighbors point to
+     * @param {tf.Tensor} batchTensor - Grid states [batch, height, width, channels]
+     * @returns {tf.Tensor} Neighbor states [batch, height*width, neighborhoodSize, channels]
+     */
+    _gatherNeighbors(batchTensor) {
+        const [batch, height, width, channels] = batchTensor.shape;
+        const numCells = height * width;
+        
+        if (!this.neighborIndexTable) {
+            this.neighborIndexTable = this.grid.getNeighborIndexTable();
+        }
+        
+        let cells = batchTensor.reshape([batch, numCells, channels]);
+        if (this.grid.boundary === 'zero') {
+            cells = tf.concat([cells, tf.zeros([batch, 1, channels])], 1);
+        }
+        
+        const indices = tf.tensor1d(this.neighborIndexTable, 'int32');
+        return tf.gather(cells, indices, 1).reshape([batch, numCells, this.grid.neighborhoodSize, channels]);
+    }
+    
+    /**
+     * Build the network input for every cell of a batch of grids at once
+     * Neighbor order matches Grid.getNeighborInput (the grid's neighborOffsets order)
+     * @param {tf.Tensor} batchTensor - Grid states [batch, height, width, channels]
+     * @returns {tf.Tensor} Perception tensor [batch, height*width, neighborhoodSize * channels]
+     */
+    _perceiveBatch(batchTensor) {
+        const [batch, height, width, channels] = batchTensor.shape;
+        return this._gatherNeighbors(batchTensor)
+            .reshape([batch, height * width, this.grid.neighborhoodSize * channels]);
+    }
+    
+    /**
+     * Internal method: split a state tensor into its on/off channel and hidden state channels
+     * (gather on the last axis, which is much cheaper than slicing on the CPU backend)
+     * @param {tf.Tensor} state - State tensor [..., channels]
+     * @returns {Array<tf.Tensor>} [onOff [..., 1], stateVec [..., channels - 1]]
+     */
+    _splitAlive(state) {
+        const axis = state.rank - 1;
+        const hiddenIndices = Array.from({ length: state.shape[axis] - 1 }, (_, i) => i + 1);
+        return [tf.gather(state, [0], axis), tf.gather(state, hiddenIndices, axis)];
+    }
+    
+    /**
+     * Alive mask matching _hasLiveNeighborhood: 1 where some neighbor's alive value exceeds aliveThreshold
+     * The mask is treated as a constant when computing gradients
+     * @param {tf.Tensor} gridTensor - Grid states [batch, height, width, channels]
+     * @returns {tf.Tensor} Mask tensor [batch, height, width, 1]
+     */
+    _aliveMask(gridTensor) {
+        const computeMask = tf.customGrad(state => {
+            const [batch, height, width] = state.shape;
+            const alive = this._splitAlive(state)[0];
+            const neighborhoodMax = this._perceiveBatch(alive).max(2).reshape([batch, height, width, 1]);
+            return {
+                value: neighborhoodMax.greater(this.aliveThreshold).cast('float32'),
+                gradFunc: () => tf.zerosLike(state)
+            };
+        });
+        return computeMask(gridTensor);
+    }
+    
+    /**
+     * Perform a differentiable CA update step using tensors with the grid's boundary conditions
+     * The whole grid is processed with a constant number of tensor operations (no per-cell slicing),
+     * so the graph size does not grow with grid area.
+     * Honours updateRule, fireRate and aliveMasking like update(); only with thresholdAlive does a
+     * boolean grid get exactly update()'s states, since update() masks after thresholding
      * This runs inside TensorFlow's computation graph for gradient tracking
      * NOTE: Do NOT use tf.tidy() here - gradients need intermediate tensors to stay alive
-     * @param {tf.Tensor} gridTensor - Current grid state tensor [height, width, 3]
-     * @returns {tf.Tensor} New grid state tensor [height, width, 3]
+     * @param {tf.Tensor} gridTensor - Current grid state tensor [height, width, channels]
+     * @param {boolean} thresholdAlive - Threshold the on/off channel before fire rate and alive masking
+     *        (non-differentiable, see _thresholdAlive) (default: false)
+     * @returns {tf.Tensor} New grid state tensor [height, width, channels]
      */
-    updateTensor(gridTensor) {
+    updateTensor(gridTensor, thresholdAlive = false) {
         if (!this.neuralNetwork.isInitialized) {
             throw new Error('Neural network not initialized. Call neuralNetwork.initialize() first.');
         }
         
         const model = this.neuralNetwork.getModel();
-        const [height, width] = gridTensor.shape;
-        const numCells = height * width;
+        const [height, width, channels] = gridTensor.shape;
+        
+        // A batch of one grid: [1, height*width, neighborhoodSize*channels] -> [1, height*width, channels]
+        const applyModel = inputs => model.apply(inputs.reshape([height * width, inputs.shape[2]]))
+            .reshape([1, height * width, channels]);
+        return this.updateTensorBatch(gridTensor.expandDims(0), applyModel, thresholdAlive).squeeze([0]);
+    }
+    
+    /**
+     * Differentiable CA update step for a batch of grids (see updateTensor)
+     * Each grid in the batch may use its own network: applyNetwork receives the inputs of all cells
+     * of all grids and returns the raw (pre-activation) outputs
+     * NOTE: Do NOT use tf.tidy() here - gradients need intermediate tensors to stay alive
+     * @param {tf.Tensor} batchTensor - Current grid states [batch, height, width, channels]
+     * @param {Function} applyNetwork - Maps inputs [batch, height*width, neighborhoodSize*channels]
+     *        to raw outputs [batch, height*width, channels]
+     * @param {boolean} thresholdAlive - Threshold the on/off channel before fire rate and alive masking
+     *        (see updateTensor) (default: false)
+     * @returns {tf.Tensor} New grid states [batch, height, width, channels]
+     */
+    updateTensorBatch(batchTensor, applyNetwork, thresholdAlive = false) {
+        const [batch, height, width, channels] = batchTensor.shape;
         
-        // Torus boundary conditions: pad with wrapped edges
-        // Top edge wraps to bottom, bottom wraps to top, left wraps to right, right wraps to left
+        // Batch predict: [batch, height*width, neighborhoodSize*channels] -> [batch, height, width, channels]
+        const inputBatch = this._perceiveBatch(batchTensor);
+        const predictions = applyNetwork(inputBatch).reshape([batch, height, width, channels]);
         
-        // First, pad top/bottom with wrapped rows
-        const topRow = gridTensor.slice([height - 1, 0, 0], [1, width, 3]); // Last row wraps to top
-        const bottomRow = gridTensor.slice([0, 0, 0], [1, width, 3]); // First row wraps to bottom
-        const topBottomPadded = tf.concat([topRow, gridTensor, bottomRow], 0); // [height+2, width, 3]
+        const [onOffRaw, stateVecRaw] = this._splitAlive(predictions);
         
-        // Now pad left/right with wrapped columns from the top-bottom-padded grid
-        const leftCol = topBottomPadded.slice([0, width - 1, 0], [height + 2, 1, 3]); // Last column wraps to left
-        const rightCol = topBottomPadded.slice([0, 0, 0], [height + 2, 1, 3]); // First column wraps to right
+        let newStates;
+        if (this.updateRule === 'residual') {
+            // Residual: outputs are deltas added to the current state, clamped to the replace rule's ranges
+            const [onOffOld, stateVecOld] = this._splitAlive(batchTensor);
+            const onOff = onOffOld.add(onOffRaw).clipByValue(0, 1);
+            const stateVec = stateVecOld.add(stateVecRaw).clipByValue(-1, 1);
+            newStates = tf.concat([onOff, stateVec], 3); // [batch, height, width, channels]
+        } else {
+            // Apply activations: sigmoid to first channel (on/off), tanh to rest (state vector)
+            const onOff = tf.sigmoid(onOffRaw); // [batch, height, width, 1]
+            const stateVec = tf.tanh(stateVecRaw); // [batch, height, width, hiddenChannels]
+            newStates = tf.concat([onOff, stateVec], 3); // [batch, height, width, channels]
+        }
         
-        // Left padding: right column, right padding: left column
-        const paddedGrid = tf.concat([leftCol, topBottomPadded, rightCol], 1); // [height+2, width+2, 3]
+        // Threshold before masking, as update() masks the states predictBatch has already thresholded
+        if (thresholdAlive) {
+            newStates = this._thresholdAlive(newStates);
+        }
         
-        // Extract neighbor regions efficiently
-        // We'll build the input batch by extracting and concatenating neighbor regions
-        const inputs = [];
+        // Stochastic firing: cells that don't fire keep their current state this step
+        if (this.fireRate < 1) {
+            const fireMask = tf.randomUniform([batch, height, width, 1], 0, 1, 'float32', this.random.nextSeed())
+                .less(this.fireRate).cast('float32');
+            newStates = newStates.mul(fireMask).add(batchTensor.mul(tf.sub(1, fireMask)));
+        }
         
-        for (let y = 0; y < height; y++) {
-            for (let x = 0; x < width; x++) {
-                // Get neighbors from padded grid (indices are shifted by 1 due to padding)
-                const py = y + 1; // Padded y coordinate
-                const px = x + 1; // Padded x coordinate
-                
-                // Extract neighbors: top, bottom, left, right, self
-                const top = paddedGrid.slice([py - 1, px, 0], [1, 1, 3]).reshape([3]);
-                const bottom = paddedGrid.slice([py + 1, px, 0], [1, 1, 3]).reshape([3]);
-                const left = paddedGrid.slice([py, px - 1, 0], [1, 1, 3]).reshape([3]);
-                const right = paddedGrid.slice([py, px + 1, 0], [1, 1, 3]).reshape([3]);
-                const self = paddedGrid.slice([py, px, 0], [1, 1, 3]).reshape([3]);
-                
-                // Concatenate neighbor states into 15-element input
-                const input = tf.concat([top, bottom, left, right, self], 0); // [15]
-                inputs.push(input);
-            }
+        // Alive masking: zero cells whose neighborhood was dead before or after the step
+        if (this.aliveMasking) {
+            const lifeMask = this._aliveMask(batchTensor).mul(this._aliveMask(newStates));
+            newStates = newStates.mul(lifeMask);
         }
         
-        // Batch predict: [height*width, 15] -> [height*width, 3]
-        const inputBatch = tf.stack(inputs); // [height*width, 15]
-        const predictions = model.apply(inputBatch); // [height*width, 3]
-        
-        // Apply activations: sigmoid to first channel (on/off), tanh to rest (state vector)
-        const onOffRaw = predictions.slice([0, 0], [numCells, 1]);
-        const stateVecRaw = predictions.slice([0, 1], [numCells, 2]);
-        const onOff = tf.sigmoid(onOffRaw); // [height*width, 1]
-        const stateVec = tf.tanh(stateVecRaw); // [height*width, 2]
-        const newStates = tf.concat([onOff, stateVec], 1); // [height*width, 3]
-        
-        // Clean up intermediate tensors
-        paddedGrid.dispose();
-        topRow.dispose();
-        bottomRow.dispose();
-        topBottomPadded.dispose();
-        leftCol.dispose();
-        rightCol.dispose();
-        
-        // Reshape back to [height, width, 3]
-        return newStates.reshape([height, width, 3]);
+        return newStates;
     }
 }
 
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = CellularAutomata;
+}
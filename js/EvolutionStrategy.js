@@ -0,0 +1,305 @@
+/**
+ * EvolutionStrategy.js - Evolution strategies (OpenAI-ES) trainer for Neural Cellular Automata
+ * Keeps a single parameter vector (the "center") and estimates the gradient of the expected fitness
+ * from Gaussian perturbations of it:
+ * - Antithetic sampling: every noise vector ε is evaluated as center + σε and center − σε
+ * - Fitness shaping: losses are replaced by centered ranks, so the update ignores the loss scale
+ * - Adam: the estimated gradient is applied with the Adam update rule
+ * Fitness is the same Game.run() loss the genetic algorithm uses, so the two can be compared directly.
+ */
+class EvolutionStrategy {
+    /**
+     * Create a new evolution strategy trainer
+     * @param {Grid} grid - The grid instance
+     * @param {NeuralNetwork} baseNetwork - Network to start from (its weights are the initial center)
+     * @param {CellularAutomata} cellularAutomata - CA instance for evaluation
+     * @param {Object} config - Configuration object
+     * @param {number} config.populationSize - Evaluations per generation, rounded up to an even number
+     *        of antithetic pairs (default: 30)
+     * @param {number} config.sigma - Standard deviation of the parameter noise (default: 0.02)
+     * @param {number} config.learningRate - Adam step size (default: 0.01)
+     * @param {number} config.targetWidth - Width of the target shape in cells (default: 5)
+     * @param {number} config.targetHeight - Height of the target shape in cells (default: 5)
+     * @param {number} config.seed - Seed for the noise (default: random)
+     */
+    constructor(grid, baseNetwork, cellularAutomata, config = {}) {
+        if (!grid || !baseNetwork || !cellularAutomata) {
+            throw new Error('EvolutionStrategy requires grid, baseNetwork, and cellularAutomata');
+        }
+        
+        this.grid = grid;
+        this.baseNetwork = baseNetwork;
+        this.cellularAutomata = cellularAutomata;
+        
+        // Create game instance (owns target size, placement and validation)
+        this.game = new Game(grid, cellularAutomata, {
+            targetWidth: config.targetWidth,
+            targetHeight: config.targetHeight
+        });
+        
+        // ES parameters
+        this.populationSize = config.populationSize || 30;
+        this.sigma = config.sigma || 0.02;
+        this.learningRate = config.learningRate || 0.01;
+        
+        // Adam parameters
+        this.beta1 = 0.9;
+        this.beta2 = 0.999;
+        this.epsilon = 1e-8;
+        
+        this.random = new Random(config.seed);
+        
+        this.centerNetwork = null; // Network holding the current center (the trained result)
+        this.workNetwork = null; // Network used to evaluate perturbations
+        this.center = null; // Float32Array of all weights
+        this.shapes = null; // Weight shapes, to rebuild the network from the flat vector
+        this.adamM = null;
+        this.adamV = null;
+        this.adamStep = 0;
+        
+        this.generation = 0;
+        this.lossHistory = [];
+        this.isTraining = false;
+    }
+    
+    /**
+     * Create a new neural network with the same architecture as base network
+     * @returns {NeuralNetwork} New network instance
+     */
+    _createNetwork() {
+        const network = new NeuralNetwork(this.baseNetwork.getConfig());
+        network.initialize();
+        return network;
+    }
+    
+    /**
+     * Start from the base network's weights with fresh Adam state
+     */
+    _initialize() {
+        this.dispose();
+        
+        const weights = this.baseNetwork.exportWeights();
+        this.shapes = weights.map(w => w.shape);
+        this.center = Float32Array.from([].concat(...weights.map(w => w.values)));
+        this.adamM = new Float32Array(this.center.length);
+        this.adamV = new Float32Array(this.center.length);
+        this.adamStep = 0;
+        
+        this.centerNetwork = this._createNetwork();
+        this.workNetwork = this._createNetwork();
+        this._setWeights(this.centerNetwork, this.center);
+        
+        this.generation = 0;
+        this.lossHistory = [];
+    }
+    
+    /**
+     * Load a flat parameter vector into a network
+     * @param {NeuralNetwork} network - Network to update
+     * @param {Float32Array} params - Flat weights in exportWeights() order
+     */
+    _setWeights(network, params) {
+        let offset = 0;
+        network.importWeights(this.shapes.map(shape => {
+            const size = shape.reduce((a, b) => a * b, 1);
+            const values = params.subarray(offset, offset + size);
+            offset += size;
+            return { shape: shape, values: values };
+        }));
+    }
+    
+    /**
+     * Evaluate the loss of a parameter vector with Game.run(), averaged over the targets (each grown
+     * from its own seed, see Game.resetToSeed)
+     * @param {Float32Array} params - Flat weights
+     * @param {Array<Array<Array<boolean>>>} targets - Target shapes
+     * @param {number} genSteps - Number of CA steps to run
+     * @returns {number} Loss (lower is better)
+     */
+    _evaluate(params, targets, genSteps) {
+        this._setWeights(this.workNetwork, params);
+        
+        // Temporarily replace CA's network with the work network
+        const originalNetwork = this.cellularAutomata.neuralNetwork;
+        this.cellularAutomata.neuralNetwork = this.workNetwork;
+        try {
+            let loss = 0;
+            targets.forEach((targetShape, t) => {
+                this.game.resetToSeed(t);
+                loss += this.game.run(genSteps, targetShape);
+            });
+            return loss / targets.length;
+        } finally {
+            this.cellularAutomata.neuralNetwork = originalNetwork;
+        }
+    }
+    
+    /**
+     * Fitness shaping: map losses to centered ranks in [-0.5, 0.5], the lowest loss getting 0.5
+     * @param {Array<number>} losses - Loss per evaluation
+     * @returns {Array<number>} Utility per evaluation
+     */
+    static centeredRanks(losses) {
+        const n = losses.length;
+        if (n < 2) {
+            return losses.map(() => 0);
+        }
+        
+        const order = losses.map((loss, i) => i).sort((a, b) => losses[b] - losses[a]);
+        const utilities = new Array(n);
+        order.forEach((index, rank) => {
+            utilities[index] = rank / (n - 1) - 0.5;
+        });
+        return utilities;
+    }
+    
+    /**
+     * Run one ES generation: sample antithetic perturbations, evaluate them and take an Adam step
+     * @param {Array<Array<Array<boolean>>>} targets - Target shapes
+     * @param {number} genSteps - Number of CA steps per evaluation
+     * @returns {number} Loss of the updated center
+     */
+    _step(targets, genSteps) {
+        const numParams = this.center.length;
+        const numPairs = Math.max(1, Math.ceil(this.populationSize / 2));
+        
+        // Evaluate center ± σε for every noise vector
+        const noises = [];
+        const losses = [];
+        const candidate = new Float32Array(numParams);
+        for (let i = 0; i < numPairs; i++) {
+            const noise = tf.tidy(() => tf.randomNormal([numParams], 0, 1, 'float32', this.random.nextSeed()).dataSync());
+            noises.push(noise);
+            
+            for (const sign of [1, -1]) {
+                for (let j = 0; j < numParams; j++) {
+                    candidate[j] = this.center[j] + sign * this.sigma * noise[j];
+                }
+                losses.push(this._evaluate(candidate, targets, genSteps));
+            }
+        }
+        
+        // Gradient of the expected utility: Σ (u+ − u−) ε / (2 · pairs · σ)
+        const utilities = EvolutionStrategy.centeredRanks(losses);
+        const gradient = new Float32Array(numParams);
+        for (let i = 0; i < numPairs; i++) {
+            const weight = (utilities[2 * i] - utilities[2 * i + 1]) / (2 * numPairs * this.sigma);
+            const noise = noises[i];
+            for (let j = 0; j < numParams; j++) {
+                gradient[j] += weight * noise[j];
+            }
+        }
+        
+        // Adam ascent on the utility
+        this.adamStep++;
+        const correction1 = 1 - Math.pow(this.beta1, this.adamStep);
+        const correction2 = 1 - Math.pow(this.beta2, this.adamStep);
+        for (let j = 0; j < numParams; j++) {
+            this.adamM[j] = this.beta1 * this.adamM[j] + (1 - this.beta1) * gradient[j];
+            this.adamV[j] = this.beta2 * this.adamV[j] + (1 - this.beta2) * gradient[j] * gradient[j];
+            const mHat = this.adamM[j] / correction1;
+            const vHat = this.adamV[j] / correction2;
+            this.center[j] += this.learningRate * mHat / (Math.sqrt(vHat) + this.epsilon);
+        }
+        
+        this._setWeights(this.centerNetwork, this.center);
+        return this._evaluate(this.center, targets, genSteps);
+    }
+    
+    /**
+     * Train using evolution strategies
+     * Same contract as GeneticAlgorithm.train(); each generation reports the loss of the updated center.
+     * @param {Array<Array<boolean>>|Array<Array<Array<boolean>>>} targetShape - Target-sized boolean array,
+     *        or an array of them (the loss is averaged over targets)
+     * @param {number} numGenerations - Number of ES updates
+     * @param {number} genSteps - Number of CA steps for fitness evaluation
+     * @param {Function} progressCallback - Optional callback (generation, loss, shouldContinue)
+     * @param {Object} options - Training options
+     * @param {boolean} options.resume - Continue from the current center and Adam state instead of
+     *        restarting from the base network (default: false)
+     * @returns {Promise<Array<number>>} Array of center loss values per generation of this run
+     */
+    async train(targetShape, numGenerations = 100, genSteps = 50, progressCallback = null, options = {}) {
+        const targets = Game.toTargetList(targetShape);
+        this.game.validateTargets(targets);
+        
+        if (options.resume && this.center) {
+            console.log(`Resuming evolution strategy from generation ${this.generation}...`);
+        } else {
+            this._initialize();
+        }
+        
+        this.isTraining = true;
+        const lossHistory = [];
+        const lastGeneration = this.generation + numGenerations;
+        
+        for (let gen = 0; gen < numGenerations; gen++) {
+            if (!this.isTraining) break;
+            
+            const loss = this._step(targets, genSteps);
+            this.generation++;
+            lossHistory.push(loss);
+            this.lossHistory.push(loss);
+            
+            console.log(`Generation ${this.generation}/${lastGeneration}: ES loss = ${loss.toFixed(6)}`);
+            
+            // Call progress callback
+            if (progressCallback) {
+                const shouldContinue = progressCallback(this.generation, loss, true) !== false;
+                if (!shouldContinue) {
+                    this.isTraining = false;
+                    break;
+                }
+            }
+            
+            // Small delay for UI updates
+            await new Promise(resolve => setTimeout(resolve, 10));
+        }
+        
+        this.isTraining = false;
+        return lossHistory;
+    }
+    
+    /**
+     * Get the network holding the current center
+     * @returns {NeuralNetwork} Center network (null before training)
+     */
+    getBestNetwork() {
+        return this.centerNetwork;
+    }
+    
+    /**
+     * Stop training
+     */
+    stopTraining() {
+        this.isTraining = false;
+    }
+    
+    /**
+     * Get current training status
+     * @returns {boolean} True if currently training
+     */
+    getIsTraining() {
+        return this.isTraining;
+    }
+    
+    /**
+     * Dispose of all resources
+     */
+    dispose() {
+        this.stopTraining();
+        if (this.centerNetwork) {
+            this.centerNetwork.dispose();
+        }
+        if (this.workNetwork) {
+            this.workNetwork.dispose();
+        }
+        this.centerNetwork = null;
+        this.workNetwork = null;
+        this.center = null;
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = EvolutionStrategy;
+}
@@ -1,99 +1,217 @@
 /**
  * Game.js - Encapsulates running CA and calculating error
+ * Scores are returned and, if a score callback is set, emitted to it; the Game never touches the DOM
  */
 class Game {
     /**
      * Create a new Game instance
      * @param {Grid} grid - The grid instance
      * @param {CellularAutomata} cellularAutomata - The CA instance
+     * @param {Object} config - Configuration object
+     * @param {number} config.targetWidth - Width of the target shape in cells (default: 5)
+     * @param {number} config.targetHeight - Height of the target shape in cells (default: 5)
      */
-    constructor(grid, cellularAutomata) {
+    constructor(grid, cellularAutomata, config = {}) {
         if (!grid || !cellularAutomata) {
             throw new Error('Game requires both grid and cellularAutomata');
         }
         
         this.grid = grid;
         this.cellularAutomata = cellularAutomata;
-        this.lossValueElement = null; // UI element for displaying loss (set externally)
+        this.scoreCallback = null; // Called with every score computed by calculateScore() (set externally)
+        this.targetWidth = config.targetWidth || 5;
+        this.targetHeight = config.targetHeight || 5;
     }
     
     /**
-     * Set the UI element for displaying loss
-     * @param {HTMLElement} element - The element to display loss in
+     * Create an empty (all off) target shape
+     * @param {number} width - Target width in cells
+     * @param {number} height - Target height in cells
+     * @returns {Array<Array<boolean>>} height×width boolean array
      */
-    setLossDisplayElement(element) {
-        this.lossValueElement = element;
+    static createEmptyTarget(width, height) {
+        const targetShape = [];
+        for (let y = 0; y < height; y++) {
+            targetShape[y] = [];
+            for (let x = 0; x < width; x++) {
+                targetShape[y][x] = false;
+            }
+        }
+        return targetShape;
+    }
+    
+    /**
+     * Check whether a target shape has any pixels set
+     * @param {Array<Array<boolean>>} targetShape - Boolean array
+     * @returns {boolean} True if at least one pixel is on
+     */
+    static hasTargetPixels(targetShape) {
+        return targetShape.some(row => row.some(value => !!value));
+    }
+    
+    /**
+     * Accept a single target or a list of targets and return a list
+     * @param {Array<Array<boolean>>|Array<Array<Array<boolean>>>} targets - Target shape or array of target shapes
+     * @returns {Array<Array<Array<boolean>>>} Array of target shapes
+     */
+    static toTargetList(targets) {
+        const isList = Array.isArray(targets) && targets.length > 0 && Array.isArray(targets[0]) &&
+            Array.isArray(targets[0][0]);
+        return isList ? targets : [targets];
+    }
+    
+    /**
+     * Number of targets one network can be conditioned on: each target's seed cell carries a distinct
+     * binary code in its hidden channels (see seedStateVector)
+     * @param {number} hiddenChannels - Hidden state floats per cell
+     * @returns {number} Maximum number of targets
+     */
+    static maxTargets(hiddenChannels) {
+        return Math.pow(2, hiddenChannels);
     }
     
     /**
-     * Display a loss value to the UI (simple display without totalError)
-     * @param {number} loss - Loss value to display
+     * Hidden state of the seed cell for a target: hidden channel c is 1 if bit c of targetIndex is set.
+     * Target 0 has an all-zero state, the plain single-target seed.
+     * @param {number} targetIndex - Index of the target
+     * @param {number} hiddenChannels - Hidden state floats per cell
+     * @returns {Float32Array} Seed state vector
      */
-    displayLoss(loss) {
-        if (this.lossValueElement) {
-            this.lossValueElement.textContent = loss.toFixed(6);
+    static seedStateVector(targetIndex, hiddenChannels) {
+        const stateVector = new Float32Array(hiddenChannels);
+        for (let c = 0; c < hiddenChannels; c++) {
+            stateVector[c] = (targetIndex >> c) & 1;
         }
+        return stateVector;
+    }
+    
+    /**
+     * Change the configured target size
+     * @param {number} width - Target width in cells
+     * @param {number} height - Target height in cells
+     */
+    setTargetSize(width, height) {
+        this.targetWidth = width;
+        this.targetHeight = height;
+    }
+    
+    /**
+     * Get the game configuration (the config object accepted by the constructor)
+     * @returns {Object} { targetWidth, targetHeight }
+     */
+    getConfig() {
+        return {
+            targetWidth: this.targetWidth,
+            targetHeight: this.targetHeight
+        };
+    }
+    
+    /**
+     * Get the grid position of the target's top-left cell (target is centered on the seed cell)
+     * @returns {Object} { x, y } grid coordinates
+     */
+    getTargetOrigin() {
+        return {
+            x: Math.floor(this.grid.width / 2) - Math.floor(this.targetWidth / 2),
+            y: Math.floor(this.grid.height / 2) - Math.floor(this.targetHeight / 2)
+        };
+    }
+    
+    /**
+     * Validate a target shape against the configured target size and the grid size
+     * @param {Array<Array<boolean>>} targetShape - Boolean array to validate
+     * @throws {Error} If the shape has the wrong dimensions or does not fit in the grid
+     */
+    validateTargetShape(targetShape) {
+        if (this.targetWidth > this.grid.width || this.targetHeight > this.grid.height) {
+            throw new Error(`Target size ${this.targetWidth}×${this.targetHeight} does not fit in the ${this.grid.width}×${this.grid.height} grid`);
+        }
+        
+        if (!targetShape || targetShape.length !== this.targetHeight ||
+            targetShape.some(row => !row || row.length !== this.targetWidth)) {
+            throw new Error(`Target shape must be a ${this.targetWidth}×${this.targetHeight} boolean array`);
+        }
+    }
+    
+    /**
+     * Validate a list of targets for multi-target training (see toTargetList)
+     * @param {Array<Array<Array<boolean>>>} targets - Array of target shapes
+     * @throws {Error} If the list is empty, a shape is invalid or there are more targets than seed codes
+     */
+    validateTargets(targets) {
+        if (!Array.isArray(targets) || targets.length === 0) {
+            throw new Error('At least one target shape is required');
+        }
+        const maxTargets = Game.maxTargets(this.grid.hiddenChannels);
+        if (targets.length > maxTargets) {
+            throw new Error(`${targets.length} targets need more seed codes than ${this.grid.hiddenChannels} hidden channels provide (at most ${maxTargets})`);
+        }
+        targets.forEach(targetShape => this.validateTargetShape(targetShape));
+    }
+    
+    /**
+     * Set a callback that receives every score computed by calculateScore() / calculateError()
+     * @param {Function|null} callback - Called with { loss, totalError, hasTarget }
+     */
+    setScoreCallback(callback) {
+        this.scoreCallback = callback;
     }
     
     /**
      * Reset grid to seed cell at center
+     * With several targets the seed cell's hidden state tells the network which one to grow
+     * @param {number} targetIndex - Index of the target to seed (default: 0, all-zero hidden state)
      */
-    resetToSeed() {
+    resetToSeed(targetIndex = 0) {
         this.grid.clear();
         const centerX = Math.floor(this.grid.width / 2);
         const centerY = Math.floor(this.grid.height / 2);
-        this.grid.setCell(centerX, centerY, true);
+        this.grid.setCell(centerX, centerY, true, Game.seedStateVector(targetIndex, this.grid.hiddenChannels));
     }
     
     /**
-     * Calculate error between current grid state and target shape
-     * Also calculates total error and displays both to UI if lossValueElement is set
-     * @param {Array<Array<boolean>>} targetShape - 5×5 boolean array
-     * @returns {number} Error value (mean squared error)
+     * Get the seed state of a target as a flat array (Grid.toArray() layout)
+     * @param {number} targetIndex - Index of the target (default: 0)
+     * @returns {Float32Array} Grid state with only the seed cell set
      */
-    calculateError(targetShape) {
-        if (!targetShape || targetShape.length !== 5 || targetShape[0].length !== 5) {
-            throw new Error('Target shape must be a 5×5 boolean array');
-        }
-        
-        // Check if target shape has any pixels
-        let hasTarget = false;
-        for (let y = 0; y < 5; y++) {
-            for (let x = 0; x < 5; x++) {
-                if (targetShape[y][x]) {
-                    hasTarget = true;
-                    break;
-                }
-            }
-            if (hasTarget) break;
-        }
+    getSeedState(targetIndex = 0) {
+        this.resetToSeed(targetIndex);
+        return this.grid.toArray();
+    }
+    
+    /**
+     * Score the current grid state against a target shape
+     * The result is also passed to the score callback, if set
+     * @param {Array<Array<boolean>>} targetShape - targetHeight×targetWidth boolean array
+     * @returns {Object} { loss, totalError, hasTarget } - loss is the mean squared error, totalError the
+     *          summed signed error (target - actual); both are 0 if the target has no pixels
+     */
+    calculateScore(targetShape) {
+        this.validateTargetShape(targetShape);
         
-        // If no target pixels and UI element exists, display dash
-        if (!hasTarget) {
-            if (this.lossValueElement) {
-                this.lossValueElement.textContent = '-';
-            }
-            return 0; // Return 0 loss if no target
+        // No target pixels: nothing to score
+        if (!Game.hasTargetPixels(targetShape)) {
+            return this._emitScore({ loss: 0, totalError: 0, hasTarget: false });
         }
         
-        // Extract center 5×5 region from 9×9 grid (centered at pixel 4,4)
-        const centerX = Math.floor(this.grid.width / 2) - 2;
-        const centerY = Math.floor(this.grid.height / 2) - 2;
+        // Extract the target-sized region centered on the grid's center cell
+        const origin = this.getTargetOrigin();
         
         let totalLoss = 0;
         let totalError = 0;
         let cellCount = 0;
         
-        for (let ty = 0; ty < 5; ty++) {
-            for (let tx = 0; tx < 5; tx++) {
-                const gridX = centerX + tx;
-                const gridY = centerY + ty;
+        for (let ty = 0; ty < this.targetHeight; ty++) {
+            for (let tx = 0; tx < this.targetWidth; tx++) {
+                const gridX = origin.x + tx;
+                const gridY = origin.y + ty;
                 
                 const cell = this.grid.getCell(gridX, gridY);
                 const targetValue = targetShape[ty][tx] ? 1.0 : 0.0;
-                const actualValue = cell.on ? 1.0 : 0.0;
+                // Alive value is 0/1, or a float in [0, 1] when the grid keeps a continuous alive channel
+                const actualValue = Grid.aliveValue(cell);
                 
-                // Mean squared error
+                // Mean squared error (continuous in the alive value)
                 const error = targetValue - actualValue;
                 totalLoss += error * error;
                 totalError += error;
@@ -101,28 +219,175 @@ class Game {
             }
         }
         
-        const loss = totalLoss / cellCount;
+        return this._emitScore({ loss: totalLoss / cellCount, totalError: totalError, hasTarget: true });
+    }
+    
+    /**
+     * Internal method: pass a score to the score callback (if set) and return it
+     * @param {Object} score - { loss, totalError, hasTarget }
+     * @returns {Object} The same score
+     */
+    _emitScore(score) {
+        if (this.scoreCallback) {
+            this.scoreCallback(score);
+        }
+        return score;
+    }
+    
+    /**
+     * Calculate error between current grid state and target shape
+     * @param {Array<Array<boolean>>} targetShape - targetHeight×targetWidth boolean array
+     * @returns {number} Error value (mean squared error, 0 if the target has no pixels)
+     */
+    calculateError(targetShape) {
+        return this.calculateScore(targetShape).loss;
+    }
+    
+    /**
+     * Draw a random damage event for regeneration training: a disc or rectangle of cells centered on a
+     * random cell of the target region, erased at a random step in the second half of the growth phase
+     * @param {Random} random - Random generator to draw from
+     * @param {string} shape - 'disc' or 'rect'
+     * @param {number} size - Disc radius, or the largest half-width / half-height of the rectangle (each drawn from 1..size), in cells
+     * @param {number} genSteps - Length of the growth phase; the damage step is in [genSteps / 2, genSteps]
+     * @returns {Object} Damage { shape, x, y, radiusX, radiusY, step }
+     */
+    sampleDamage(random, shape, size, genSteps) {
+        if (!Game.DAMAGE_SHAPES.includes(shape)) {
+            throw new Error(`Unknown damage shape: ${shape}`);
+        }
+        
+        const origin = this.getTargetOrigin();
+        const firstStep = Math.ceil(genSteps / 2);
+        const damage = {
+            shape: shape,
+            x: origin.x + random.nextInt(this.targetWidth),
+            y: origin.y + random.nextInt(this.targetHeight),
+            radiusX: size,
+            radiusY: size,
+            step: firstStep + random.nextInt(genSteps - firstStep + 1)
+        };
+        if (shape === 'rect') {
+            damage.radiusX = 1 + random.nextInt(size);
+            damage.radiusY = 1 + random.nextInt(size);
+        }
+        return damage;
+    }
+    
+    /**
+     * Mask of the cells a damage event leaves intact
+     * @param {Object} damage - Damage from sampleDamage()
+     * @returns {Float32Array} width×height values (row-major), 0 for erased cells and 1 elsewhere
+     */
+    getDamageMask(damage) {
+        const mask = new Float32Array(this.grid.width * this.grid.height).fill(1);
+        for (let y = Math.max(0, damage.y - damage.radiusY); y <= Math.min(this.grid.height - 1, damage.y + damage.radiusY); y++) {
+            for (let x = Math.max(0, damage.x - damage.radiusX); x <= Math.min(this.grid.width - 1, damage.x + damage.radiusX); x++) {
+                const dx = x - damage.x;
+                const dy = y - damage.y;
+                if (damage.shape === 'rect' || dx * dx + dy * dy <= damage.radiusX * damage.radiusX) {
+                    mask[y * this.grid.width + x] = 0;
+                }
+            }
+        }
+        return mask;
+    }
+    
+    /**
+     * Erase the cells of a damage event (alive value and hidden state are cleared)
+     * @param {Object} damage - Damage from sampleDamage()
+     */
+    applyDamage(damage) {
+        const mask = this.getDamageMask(damage);
+        for (let y = 0; y < this.grid.height; y++) {
+            for (let x = 0; x < this.grid.width; x++) {
+                if (mask[y * this.grid.width + x] === 0) {
+                    this.grid.setCell(x, y, false, new Float32Array(this.grid.hiddenChannels));
+                }
+            }
+        }
+    }
+    
+    /**
+     * Run CA for numSteps with a damage event part way, then calculate error
+     * @param {number} numSteps - Total number of CA steps to run (must be at least damage.step)
+     * @param {Array<Array<boolean>>} targetShape - Target-sized boolean array (optional)
+     * @param {Object} damage - Damage from sampleDamage(), applied after damage.step steps
+     * @returns {number|null} Error value after running (if targetShape provided), null otherwise
+     */
+    runWithDamage(numSteps, targetShape, damage) {
+        this.run(damage.step);
+        this.applyDamage(damage);
+        return this.run(numSteps - damage.step, targetShape);
+    }
+    
+    /**
+     * Get the alive value of every cell (row-major), e.g. to measure how much the grid changes per step
+     * @returns {Float32Array} width×height alive values
+     */
+    getAliveValues() {
+        const values = new Float32Array(this.grid.width * this.grid.height);
+        for (let y = 0; y < this.grid.height; y++) {
+            for (let x = 0; x < this.grid.width; x++) {
+                values[y * this.grid.width + x] = Grid.aliveValue(this.grid.getCell(x, y));
+            }
+        }
+        return values;
+    }
+    
+    /**
+     * Run CA for genSteps and score the result on several objectives (all lower is better)
+     * - shape: error at exactly genSteps (what run() returns)
+     * - persistence: mean error over the persistenceSteps steps after genSteps, so rules that hit the
+     *   target and then explode or die score badly
+     * - stability: mean squared change of the alive values per step over the same window
+     * @param {number} genSteps - Number of CA steps to run before scoring
+     * @param {Array<Array<boolean>>} targetShape - Target-sized boolean array
+     * @param {number} persistenceSteps - Steps to keep running after genSteps (default: 0, window disabled:
+     *        persistence equals shape and stability is 0)
+     * @param {Object|null} damage - Optional damage from sampleDamage(), applied during the first genSteps
+     *        steps (see runWithDamage)
+     * @returns {Object} { shape, persistence, stability }
+     */
+    runObjectives(genSteps, targetShape, persistenceSteps = 0, damage = null) {
+        const shape = damage
+            ? this.runWithDamage(genSteps, targetShape, damage)
+            : this.run(genSteps, targetShape);
+        if (persistenceSteps <= 0) {
+            return { shape: shape, persistence: shape, stability: 0 };
+        }
         
-        // Display to UI if element is set
-        if (this.lossValueElement) {
-            console.log("totalError: " + totalError.toFixed(6));
-            this.lossValueElement.textContent = loss.toFixed(6) + "    totalError: " + totalError.toFixed(6);
+        let errorSum = 0;
+        let changeSum = 0;
+        let previous = this.getAliveValues();
+        for (let step = 0; step < persistenceSteps; step++) {
+            errorSum += this.run(1, targetShape);
+            
+            const current = this.getAliveValues();
+            let change = 0;
+            for (let i = 0; i < current.length; i++) {
+                change += (current[i] - previous[i]) * (current[i] - previous[i]);
+            }
+            changeSum += change / current.length;
+            previous = current;
         }
         
-        return loss;
+        return {
+            shape: shape,
+            persistence: errorSum / persistenceSteps,
+            stability: changeSum / persistenceSteps
+        };
     }
     
     /**
      * Run CA for specified number of steps, then calculate error
      * @param {number} genSteps - Number of CA steps to run
-     * @param {Array<Array<boolean>>} targetShape - 5×5 boolean array for error calculation (optional)
+     * @param {Array<Array<boolean>>} targetShape - Target-sized boolean array for error calculation (optional)
      * @returns {number|null} Error value after running (if targetShape provided), null otherwise
      */
     run(genSteps, targetShape = null) {
-        // Run CA for genSteps
-        for (let step = 0; step < genSteps; step++) {
-            this.cellularAutomata.update();
-        }
+        // Run CA for genSteps (stays tensor-resident between steps when the CA is in tensor mode)
+        this.cellularAutomata.runSteps(genSteps);
         
         // Calculate and return error if target shape provided
         if (targetShape) {
@@ -133,3 +398,11 @@ class Game {
     }
 }
 
+/**
+ * Supported damage shapes for regeneration training
+ */
+Game.DAMAGE_SHAPES = ['disc', 'rect'];
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = Game;
+}
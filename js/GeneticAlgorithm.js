@@ -13,6 +13,43 @@ class GeneticAlgorithm {
      * @param {number} config.mutationRate - Probability of mutating each weight (default: 0.15)
      * @param {number} config.mutationStrength - Standard deviation for Gaussian mutation noise (default: 0.02)
      * @param {number} config.eliteCount - Number of top performers to preserve unchanged (default: 2)
+     * @param {string} config.selection - Parent selection: 'top2', 'tournament', 'roulette', 'rank' or
+     *        'truncation' (default: 'top2', breeding every child from the two best individuals), see _selectParent
+     * @param {number} config.tournamentSize - Individuals competing in each tournament (default: 3)
+     * @param {number} config.truncationRatio - Fraction of the population eligible as parents with
+     *        truncation selection (default: 0.5)
+     * @param {number} config.rankPressure - Linear ranking selection pressure in [1, 2]: expected
+     *        number of children of the best individual relative to the average (default: 1.5)
+     * @param {string} config.crossover - Crossover operator: 'uniform', 'layer', 'neuron' or 'blend'
+     *        (default: 'uniform'), see _crossover
+     * @param {number} config.blendAlpha - Blend crossover: the mixing factor is drawn from
+     *        [-blendAlpha, 1 + blendAlpha] (default: 0, i.e. between the parents)
+     * @param {string} config.mutationSchedule - Mutation strength: 'fixed', 'annealed' or 'selfAdaptive'
+     *        (default: 'fixed'), see _childMutationStrength
+     * @param {number} config.annealingRate - Annealed schedule: strength factor per generation (default: 0.98)
+     * @param {number} config.selfAdaptiveRate - Self-adaptive schedule: learning rate of the log-normal
+     *        update of each individual's strength (default: 0.2)
+     * @param {string} config.fitnessMode - How the objectives are combined: 'weighted' or 'pareto'
+     *        (default: 'weighted'), see _rankPopulation
+     * @param {number} config.persistenceSteps - Extra CA steps after genSteps over which the shape must
+     *        persist and stay stable (default: 0, only the frame at genSteps is scored)
+     * @param {number} config.shapeWeight - Weight of the loss at genSteps (default: 1)
+     * @param {number} config.persistenceWeight - Weight of the mean loss over the persistence window (default: 1)
+     * @param {number} config.stabilityWeight - Weight of the change per step over the persistence window (default: 1)
+     * @param {string} config.damage - Regeneration training: 'none', 'disc' or 'rect' (default: 'none'). Each
+     *        generation erases one random patch of the growing pattern (see Game.sampleDamage) and scores
+     *        how well it regrows
+     * @param {number} config.damageSize - Disc radius / largest rectangle half-size in cells (default: 1)
+     * @param {number} config.recoverySteps - Steps added after genSteps to regrow before scoring (default: 20, at least 1 with damage)
+     * @param {number} config.poolSize - Sample-pool training: number of pooled grid states evaluations start
+     *        from instead of the seed (default: 0, off), see SamplePool
+     * @param {number} config.poolBatchSize - Pooled states each individual is evaluated from per generation
+     *        (default: 4)
+     * @param {number} config.targetWidth - Width of the target shape in cells (default: 5)
+     * @param {number} config.targetHeight - Height of the target shape in cells (default: 5)
+     * @param {number} config.seed - Seed for the GA's random generator (default: random)
+     * @param {boolean} config.batchedEvaluation - Step all individuals' grids together with stacked
+     *        weights instead of one network at a time (default: true)
      */
     constructor(grid, baseNetwork, cellularAutomata, config = {}) {
         if (!grid || !baseNetwork || !cellularAutomata) {
@@ -23,29 +60,180 @@ class GeneticAlgorithm {
         this.baseNetwork = baseNetwork;
         this.cellularAutomata = cellularAutomata;
         
-        // Create game instance
-        this.game = new Game(grid, cellularAutomata);
+        // Create game instance (owns target size, placement and validation)
+        this.game = new Game(grid, cellularAutomata, {
+            targetWidth: config.targetWidth,
+            targetHeight: config.targetHeight
+        });
         
         // GA parameters
         this.populationSize = config.populationSize || 30;
         this.mutationRate = config.mutationRate || 0.15;
         this.mutationStrength = config.mutationStrength || 0.02;
         this.eliteCount = config.eliteCount || 2;
+        this.selection = config.selection || 'top2';
+        this.tournamentSize = config.tournamentSize || 3;
+        this.truncationRatio = config.truncationRatio || 0.5;
+        this.rankPressure = config.rankPressure || 1.5;
+        this.crossover = config.crossover || 'uniform';
+        this.blendAlpha = config.blendAlpha || 0;
+        this.mutationSchedule = config.mutationSchedule || 'fixed';
+        this.annealingRate = config.annealingRate || 0.98;
+        this.selfAdaptiveRate = config.selfAdaptiveRate !== undefined ? config.selfAdaptiveRate : 0.2;
+        this.fitnessMode = config.fitnessMode || 'weighted';
+        this.persistenceSteps = config.persistenceSteps || 0;
+        this.shapeWeight = config.shapeWeight !== undefined ? config.shapeWeight : 1;
+        this.persistenceWeight = config.persistenceWeight !== undefined ? config.persistenceWeight : 1;
+        this.stabilityWeight = config.stabilityWeight !== undefined ? config.stabilityWeight : 1;
+        this.damage = config.damage || 'none';
+        this.damageSize = config.damageSize || 1;
+        this.recoverySteps = config.recoverySteps !== undefined ? config.recoverySteps : 20;
+        this.poolSize = config.poolSize || 0;
+        this.poolBatchSize = config.poolBatchSize || 4;
+        GeneticAlgorithm.validateHyperparameters(this);
+        this.batchedEvaluation = config.batchedEvaluation !== undefined ? config.batchedEvaluation : true;
+        this.batchedFallbackReason = null; // Why batching was turned off during the last run (kept while it is off)
+        
+        // Seeded generator for all GA randomness, saved in checkpoints so resumed runs continue the same sequence
+        this.random = new Random(config.seed);
         
-        this.population = []; // Array of {network, fitness, loss}
+        this.population = []; // Array of {network, fitness, loss, objectives, mutationStrength}
+        this.samplePools = null; // One SamplePool per target when poolSize > 0
+        this.pendingPoolUpdates = []; // Pool indices and runs of the last evaluation (see _updateSamplePool)
         this.generation = 0;
+        this.lossHistory = []; // Best loss per generation across all (resumed) runs
         this.isTraining = false;
     }
     
+    /**
+     * Check GA hyperparameters, throwing on invalid values (missing keys are not checked)
+     * @param {Object} params - Any of the keys of getHyperparameters()
+     */
+    static validateHyperparameters(params) {
+        if (params.selection !== undefined && !GeneticAlgorithm.SELECTION_METHODS.includes(params.selection)) {
+            throw new Error(`Unknown selection method: ${params.selection}`);
+        }
+        if (params.tournamentSize !== undefined && !(Number.isInteger(params.tournamentSize) && params.tournamentSize >= 1)) {
+            throw new Error('Tournament size must be a positive integer');
+        }
+        if (params.truncationRatio !== undefined && !(params.truncationRatio > 0 && params.truncationRatio <= 1)) {
+            throw new Error('Truncation ratio must be in (0, 1]');
+        }
+        if (params.rankPressure !== undefined && !(params.rankPressure >= 1 && params.rankPressure <= 2)) {
+            throw new Error('Rank pressure must be in [1, 2]');
+        }
+        if (params.crossover !== undefined && !GeneticAlgorithm.CROSSOVER_METHODS.includes(params.crossover)) {
+            throw new Error(`Unknown crossover method: ${params.crossover}`);
+        }
+        if (params.blendAlpha !== undefined && !(params.blendAlpha >= 0)) {
+            throw new Error('Blend alpha must be non-negative');
+        }
+        if (params.mutationSchedule !== undefined && !GeneticAlgorithm.MUTATION_SCHEDULES.includes(params.mutationSchedule)) {
+            throw new Error(`Unknown mutation schedule: ${params.mutationSchedule}`);
+        }
+        if (params.annealingRate !== undefined && !(params.annealingRate > 0 && params.annealingRate <= 1)) {
+            throw new Error('Annealing rate must be in (0, 1]');
+        }
+        if (params.selfAdaptiveRate !== undefined && !(params.selfAdaptiveRate >= 0)) {
+            throw new Error('Self-adaptive rate must be non-negative');
+        }
+        if (params.fitnessMode !== undefined && !GeneticAlgorithm.FITNESS_MODES.includes(params.fitnessMode)) {
+            throw new Error(`Unknown fitness mode: ${params.fitnessMode}`);
+        }
+        if (params.persistenceSteps !== undefined && !(Number.isInteger(params.persistenceSteps) && params.persistenceSteps >= 0)) {
+            throw new Error('Persistence steps must be a non-negative integer');
+        }
+        for (const key of ['shapeWeight', 'persistenceWeight', 'stabilityWeight']) {
+            if (params[key] !== undefined && !(params[key] >= 0)) {
+                throw new Error('Objective weights must be non-negative');
+            }
+        }
+        if (params.shapeWeight + params.persistenceWeight + params.stabilityWeight === 0) {
+            throw new Error('At least one objective weight must be positive');
+        }
+        if (params.damage !== undefined && params.damage !== 'none' && !Game.DAMAGE_SHAPES.includes(params.damage)) {
+            throw new Error(`Unknown damage shape: ${params.damage}`);
+        }
+        if (params.damageSize !== undefined && !(Number.isInteger(params.damageSize) && params.damageSize >= 1)) {
+            throw new Error('Damage size must be a positive integer');
+        }
+        if (params.recoverySteps !== undefined && !(Number.isInteger(params.recoverySteps) && params.recoverySteps >= 0)) {
+            throw new Error('Recovery steps must be a non-negative integer');
+        }
+        if (params.damage !== undefined && params.damage !== 'none' && params.recoverySteps === 0) {
+            // A damage event can land on the last growth step; without recovery steps the damaged grid is scored
+            throw new Error('Recovery steps must be at least 1 when damage is enabled');
+        }
+        if (params.poolSize !== undefined && !(Number.isInteger(params.poolSize) && params.poolSize >= 0)) {
+            throw new Error('Pool size must be a non-negative integer');
+        }
+        if (params.poolBatchSize !== undefined && !(Number.isInteger(params.poolBatchSize) && params.poolBatchSize >= 1)) {
+            throw new Error('Pool batch size must be a positive integer');
+        }
+    }
+    
+    /**
+     * Update GA hyperparameters, e.g. before resuming a run with adjusted mutation or selection settings
+     * Changing populationSize resizes the current population (see _resizePopulation)
+     * @param {Object} params - Any of the keys of getHyperparameters()
+     */
+    setHyperparameters(params = {}) {
+        GeneticAlgorithm.validateHyperparameters(params);
+        
+        for (const key of Object.keys(this.getHyperparameters())) {
+            if (key !== 'populationSize' && params[key] !== undefined) {
+                this[key] = params[key];
+            }
+        }
+        if (params.populationSize !== undefined && params.populationSize !== this.populationSize) {
+            this.populationSize = params.populationSize;
+            if (this.population.length > 0) {
+                this._resizePopulation(this.populationSize);
+            }
+        }
+    }
+    
+    /**
+     * Get the GA hyperparameters
+     * @returns {Object} { populationSize, mutationRate, mutationStrength, eliteCount, selection,
+     *          tournamentSize, truncationRatio, rankPressure, crossover, blendAlpha, mutationSchedule,
+     *          annealingRate, selfAdaptiveRate, fitnessMode, persistenceSteps, shapeWeight,
+     *          persistenceWeight, stabilityWeight, damage, damageSize, recoverySteps, poolSize, poolBatchSize }
+     */
+    getHyperparameters() {
+        return {
+            populationSize: this.populationSize,
+            mutationRate: this.mutationRate,
+            mutationStrength: this.mutationStrength,
+            eliteCount: this.eliteCount,
+            selection: this.selection,
+            tournamentSize: this.tournamentSize,
+            truncationRatio: this.truncationRatio,
+            rankPressure: this.rankPressure,
+            crossover: this.crossover,
+            blendAlpha: this.blendAlpha,
+            mutationSchedule: this.mutationSchedule,
+            annealingRate: this.annealingRate,
+            selfAdaptiveRate: this.selfAdaptiveRate,
+            fitnessMode: this.fitnessMode,
+            persistenceSteps: this.persistenceSteps,
+            shapeWeight: this.shapeWeight,
+            persistenceWeight: this.persistenceWeight,
+            stabilityWeight: this.stabilityWeight,
+            damage: this.damage,
+            damageSize: this.damageSize,
+            recoverySteps: this.recoverySteps,
+            poolSize: this.poolSize,
+            poolBatchSize: this.poolBatchSize
+        };
+    }
+    
     /**
      * Create a new neural network with the same architecture as base network
      * @returns {NeuralNetwork} New network instance
      */
     _createNetwork() {
-        const network = new NeuralNetwork({
-            hiddenSize1: this.baseNetwork.hiddenSize1,
-            hiddenSize2: this.baseNetwork.hiddenSize2
-        });
+        const network = new NeuralNetwork(this.baseNetwork.getConfig());
         network.initialize();
         return network;
     }
@@ -71,7 +259,7 @@ class GeneticAlgorithm {
             } else {
                 // Other individuals: add random variation to base weights
                 const newWeights = baseWeights.map(w => {
-                    const noise = tf.randomNormal(w.shape, 0, 0.1);
+                    const noise = tf.randomNormal(w.shape, 0, 0.1, 'float32', this.random.nextSeed());
                     const noisy = w.add(noise);
                     return noisy;
                 });
@@ -83,11 +271,49 @@ class GeneticAlgorithm {
             this.population.push({
                 network: network,
                 fitness: null,
-                loss: null
+                loss: null,
+                objectives: null,
+                mutationStrength: this.mutationStrength
             });
         }
     }
     
+    /**
+     * Grow or shrink the current population to a new size
+     * Shrinking drops the least fit individuals; growing adds mutated copies of the fittest ones
+     * @param {number} size - New population size
+     */
+    _resizePopulation(size) {
+        this.population.sort((a, b) => (b.fitness || 0) - (a.fitness || 0));
+        
+        while (this.population.length > size) {
+            this.population.pop().network.dispose();
+        }
+        
+        const parentCount = this.population.length;
+        for (let i = 0; parentCount > 0 && this.population.length < size; i++) {
+            const parent = this.population[i % parentCount];
+            const mutationStrength = this._childMutationStrength(parent, parent);
+            const child = this._crossover(parent.network, parent.network);
+            this._mutate(child, mutationStrength);
+            this.population.push({
+                network: child,
+                fitness: null,
+                loss: null,
+                objectives: null,
+                mutationStrength: mutationStrength
+            });
+        }
+    }
+    
+    /**
+     * Check whether every individual of the current population has been evaluated
+     * @returns {boolean} True if the population is non-empty and all fitness values are set
+     */
+    _isPopulationEvaluated() {
+        return this.population.length > 0 && this.population.every(ind => ind.fitness !== null);
+    }
+    
     /**
      * Reset grid to seed cell at center
      */
@@ -98,20 +324,29 @@ class GeneticAlgorithm {
     /**
      * Evaluate fitness of a network
      * @param {NeuralNetwork} network - Network to evaluate
-     * @param {Array<Array<boolean>>} targetShape - 5×5 target shape
+     * @param {Array<Array<boolean>>} targetShape - Target-sized boolean array
      * @param {number} genSteps - Number of CA steps to run
-     * @returns {Object} {fitness, loss}
+     * @param {Object|null} damage - Damage event of the generation (see _sampleDamage), null for none
+     * @param {Float32Array|null} startState - Grid state to start from (see SamplePool), null for the seed
+     * @returns {Object} {fitness, loss, objectives, finalState}, see _combineObjectives; finalState is the
+     *          grid the run ended in (Grid.toArray()) when started from startState, null otherwise
      */
-    _evaluateFitness(network, targetShape, genSteps) {
-        // Reset grid to seed cell
-        this.game.resetToSeed();
+    _evaluateFitness(network, targetShape, genSteps, damage = null, startState = null) {
+        // Reset grid to the start state or the seed cell
+        if (startState) {
+            this.grid.fromArray(startState);
+        } else {
+            this.game.resetToSeed();
+        }
         
         // Temporarily replace CA's network with this one
         const originalNetwork = this.cellularAutomata.neuralNetwork;
         this.cellularAutomata.neuralNetwork = network;
         
-        // Run CA and calculate error using game
-        const loss = this.game.run(genSteps, targetShape);
+        // Run CA (plus the persistence window) and calculate the objectives using game
+        const numSteps = damage ? genSteps + this.recoverySteps : genSteps;
+        const objectives = this.game.runObjectives(numSteps, targetShape, this.persistenceSteps, damage);
+        const loss = this._combineObjectives(objectives);
         
         // Convert loss to fitness (higher is better)
         // Use inverse with small epsilon to avoid division by zero
@@ -120,11 +355,382 @@ class GeneticAlgorithm {
         // Restore original network
         this.cellularAutomata.neuralNetwork = originalNetwork;
         
-        return { fitness, loss };
+        const finalState = startState ? this.grid.toArray() : null;
+        return { fitness, loss, objectives, finalState };
+    }
+    
+    /**
+     * Draw the damage event of a generation, shared by all individuals so they are compared on the same
+     * damage (null if regeneration training is off)
+     * @param {number} genSteps - Number of CA steps of the growth phase
+     * @returns {Object|null} Damage from Game.sampleDamage()
+     */
+    _sampleDamage(genSteps) {
+        if (this.damage === 'none') {
+            return null;
+        }
+        return this.game.sampleDamage(this.random, this.damage, this.damageSize, genSteps);
+    }
+    
+    /**
+     * Combine the objectives of Game.runObjectives() into a single loss: the weighted mean of shape,
+     * persistence and stability. Without a persistence window only the shape loss counts, so the loss
+     * is the same as Game.run().
+     * @param {Object} objectives - { shape, persistence, stability }
+     * @returns {number} Combined loss (lower is better)
+     */
+    _combineObjectives(objectives) {
+        if (this.persistenceSteps <= 0) {
+            return objectives.shape;
+        }
+        const total = this.shapeWeight + this.persistenceWeight + this.stabilityWeight;
+        return (this.shapeWeight * objectives.shape +
+            this.persistenceWeight * objectives.persistence +
+            this.stabilityWeight * objectives.stability) / total;
+    }
+    
+    /**
+     * Evaluate the fitness of every individual and store it on the individual
+     * Every individual runs once per target from that target's seed (see Game.resetToSeed), or with a
+     * sample pool from each of poolBatchSize states of the target's pool; its objectives are averaged
+     * over all runs
+     * @param {Array<Array<Array<boolean>>>} targets - Target shapes
+     * @param {number} genSteps - Number of CA steps to run
+     */
+    _evaluatePopulation(targets, genSteps) {
+        const damage = this._sampleDamage(genSteps);
+        const runsByIndividual = new Map(this.population.map(individual => [individual, []]));
+        const poolUpdates = [];
+        
+        targets.forEach((targetShape, t) => {
+            const poolBatch = this.samplePools ? this.samplePools[t].sample(this.poolBatchSize) : null;
+            const startStates = poolBatch ? poolBatch.states : [this.game.getSeedState(t)];
+            
+            // results[s][i]: run of individual i from startStates[s]
+            const results = startStates.map(startState => this._evaluateFromState(targetShape, genSteps, damage, startState));
+            const runs = new Map(this.population.map((individual, i) => [individual, results.map(run => run[i])]));
+            runs.forEach((targetRuns, individual) => runsByIndividual.get(individual).push(...targetRuns));
+            
+            if (poolBatch) {
+                poolUpdates.push({ pool: this.samplePools[t], indices: poolBatch.indices, runs: runs });
+            }
+        });
+        
+        runsByIndividual.forEach((runs, individual) => {
+            const objectives = {};
+            for (const key of ['shape', 'persistence', 'stability']) {
+                objectives[key] = runs.reduce((sum, run) => sum + run.objectives[key], 0) / runs.length;
+            }
+            individual.objectives = objectives;
+            individual.loss = this._combineObjectives(objectives);
+            individual.fitness = 1.0 / (individual.loss + 0.0001);
+        });
+        
+        // Written back once the population is ranked (see _updateSamplePool)
+        this.pendingPoolUpdates = poolUpdates;
+    }
+    
+    /**
+     * Run every individual once from the same start state
+     * Uses batched evaluation when enabled. If the backend cannot batch (see isBatchingUnsupported) the rest
+     * of the run evaluates one network at a time and batchedFallbackReason records why; the next train() call
+     * tries batching again. Other errors are thrown.
+     * @param {Array<Array<boolean>>} targetShape - Target-sized boolean array
+     * @param {number} genSteps - Number of CA steps to run
+     * @param {Object|null} damage - Damage event of the generation (see _sampleDamage), null for none
+     * @param {Float32Array|null} startState - Grid state to start from, null for the first target's seed
+     * @returns {Array<Object>} {objectives, finalState} per individual (see _evaluateFitness)
+     */
+    _evaluateFromState(targetShape, genSteps, damage, startState) {
+        if (this.batchedEvaluation) {
+            try {
+                return this._evaluatePopulationBatched(targetShape, genSteps, damage, startState);
+            } catch (error) {
+                if (!GeneticAlgorithm.isBatchingUnsupported(error)) {
+                    throw error;
+                }
+                console.warn('Batched evaluation unavailable, evaluating one network at a time:', error.message);
+                this.batchedEvaluation = false;
+                this.batchedFallbackReason = error.message;
+            }
+        }
+        
+        return this.population.map(individual =>
+            this._evaluateFitness(individual.network, targetShape, genSteps, damage, startState));
+    }
+    
+    /**
+     * Write the states the best individual ended in back into the sample pools, with their losses
+     * Called after the population has been ranked
+     */
+    _updateSamplePool() {
+        for (const update of this.pendingPoolUpdates) {
+            const runs = update.runs.get(this.population[0]);
+            update.pool.update(
+                update.indices,
+                runs.map(run => run.finalState),
+                runs.map(run => this._combineObjectives(run.objectives))
+            );
+        }
+        this.pendingPoolUpdates = [];
+    }
+    
+    /**
+     * Create, resize or drop the sample pools (one per target) to match poolSize; pools of the right
+     * size and number are kept
+     * @param {number} targetCount - Number of targets
+     */
+    _prepareSamplePool(targetCount) {
+        if (this.poolSize <= 0) {
+            this.samplePools = null;
+        } else if (!this.samplePools || this.samplePools.length !== targetCount || this.samplePools[0].size !== this.poolSize) {
+            this.samplePools = [];
+            for (let t = 0; t < targetCount; t++) {
+                this.samplePools.push(new SamplePool(this.game.getSeedState(t), { size: this.poolSize, random: this.random }));
+            }
+        }
+    }
+    
+    /**
+     * Evaluate all individuals together: their grids are stacked into one [population, height, width,
+     * channels] tensor and stepped with batched matrix multiplication over stacked weights.
+     * Each scored grid goes through the same Game.calculateError() as _evaluateFitness(), and the
+     * persistence window is measured the same way as Game.runObjectives(), so the losses match
+     * sequential evaluation.
+     * @param {Array<Array<boolean>>} targetShape - Target-sized boolean array
+     * @param {number} genSteps - Number of CA steps to run
+     * @param {Object|null} damage - Damage event of the generation (see _sampleDamage), null for none
+     * @param {Float32Array|null} startState - Grid state every individual starts from, null for the seed
+     * @returns {Array<Object>} {objectives, finalState} per individual (see _evaluateFitness)
+     */
+    _evaluatePopulationBatched(targetShape, genSteps, damage = null, startState = null) {
+        const networks = this.population.map(ind => ind.network);
+        
+        if (startState) {
+            this.grid.fromArray(startState);
+        } else {
+            this.game.resetToSeed();
+        }
+        const seedTensor = this.grid.toTensor();
+        const stackedLayers = NeuralNetwork.stackWeights(networks);
+        const applyNetworks = inputs => NeuralNetwork.applyStacked(stackedLayers, inputs);
+        
+        let state = tf.tidy(() => seedTensor.expandDims(0).tile([networks.length, 1, 1, 1]));
+        try {
+            // Erase the damaged cells of every grid, like Game.applyDamage()
+            const applyDamage = () => {
+                const mask = this.game.getDamageMask(damage);
+                const damaged = tf.tidy(() => state.mul(tf.tensor4d(mask, [1, this.grid.height, this.grid.width, 1])));
+                state.dispose();
+                state = damaged;
+            };
+            
+            const numSteps = damage ? genSteps + this.recoverySteps : genSteps;
+            for (let step = 0; step < numSteps; step++) {
+                if (damage && step === damage.step) {
+                    applyDamage();
+                }
+                const nextState = this.cellularAutomata.stepTensorBatch(state, applyNetworks);
+                state.dispose();
+                state = nextState;
+            }
+            if (damage && damage.step === numSteps) {
+                applyDamage();
+            }
+            
+            const shapeLosses = this._scoreBatch(state, targetShape);
+            const errorSums = new Array(networks.length).fill(0);
+            const changeSums = new Array(networks.length).fill(0);
+            for (let step = 0; step < this.persistenceSteps; step++) {
+                const nextState = this.cellularAutomata.stepTensorBatch(state, applyNetworks);
+                const changes = tf.tidy(() => {
+                    const change = this.cellularAutomata._splitAlive(nextState)[0].sub(this.cellularAutomata._splitAlive(state)[0]);
+                    return change.square().mean([1, 2, 3]).dataSync();
+                });
+                state.dispose();
+                state = nextState;
+                
+                const losses = this._scoreBatch(state, targetShape);
+                for (let i = 0; i < networks.length; i++) {
+                    errorSums[i] += losses[i];
+                    changeSums[i] += changes[i];
+                }
+            }
+            
+            const finalData = startState ? state.dataSync() : null;
+            const stateSize = seedTensor.size;
+            return networks.map((network, i) => ({
+                objectives: this.persistenceSteps > 0
+                    ? {
+                        shape: shapeLosses[i],
+                        persistence: errorSums[i] / this.persistenceSteps,
+                        stability: changeSums[i] / this.persistenceSteps
+                    }
+                    : { shape: shapeLosses[i], persistence: shapeLosses[i], stability: 0 },
+                finalState: finalData ? finalData.slice(i * stateSize, (i + 1) * stateSize) : null
+            }));
+        } finally {
+            state.dispose();
+            seedTensor.dispose();
+            stackedLayers.forEach(layer => layer.kernel.dispose());
+        }
+    }
+    
+    /**
+     * Score every grid of a batched state exactly like Game.run() does
+     * @param {tf.Tensor4D} state - [population, height, width, channels] grid states
+     * @param {Array<Array<boolean>>} targetShape - Target-sized boolean array
+     * @returns {Array<number>} Loss per grid
+     */
+    _scoreBatch(state, targetShape) {
+        const states = tf.unstack(state);
+        try {
+            return states.map(gridState => {
+                this.grid.fromTensor(gridState);
+                return this.game.calculateError(targetShape);
+            });
+        } finally {
+            states.forEach(t => t.dispose());
+        }
+    }
+    
+    /**
+     * Sort the evaluated population best first and assign the fitness used by selection
+     * - 'weighted': by the combined loss of _combineObjectives (fitness = 1 / loss)
+     * - 'pareto': NSGA-II style, by non-dominated front over the objectives (shape, persistence and
+     *   stability), then by crowding distance so diverse trade-offs survive. The individual of the first
+     *   front with the lowest combined loss is moved to the top, so it is the reported best and always
+     *   an elite. Fitness becomes population size − position, for selection methods that use it.
+     */
+    _rankPopulation() {
+        if (this.fitnessMode !== 'pareto') {
+            this.population.sort((a, b) => b.fitness - a.fitness);
+            return;
+        }
+        
+        const vectors = this.population.map(ind => this.persistenceSteps > 0
+            ? [ind.objectives.shape, ind.objectives.persistence, ind.objectives.stability]
+            : [ind.objectives.shape]);
+        const fronts = GeneticAlgorithm.nonDominatedSort(vectors);
+        
+        const ranked = [];
+        fronts.forEach(front => {
+            const distances = GeneticAlgorithm.crowdingDistances(front.map(i => vectors[i]));
+            front.map((index, i) => ({ index: index, distance: distances[i] }))
+                .sort((a, b) => b.distance - a.distance)
+                .forEach(entry => ranked.push(this.population[entry.index]));
+        });
+        
+        const firstFront = ranked.slice(0, fronts[0].length);
+        const best = firstFront.reduce((a, b) => (b.loss < a.loss ? b : a));
+        ranked.splice(ranked.indexOf(best), 1);
+        ranked.unshift(best);
+        
+        ranked.forEach((ind, i) => {
+            ind.fitness = ranked.length - i;
+        });
+        this.population = ranked;
+    }
+    
+    /**
+     * Non-dominated sorting (NSGA-II): split objective vectors into Pareto fronts. A vector dominates
+     * another if it is no worse in every objective and better in at least one (lower is better).
+     * @param {Array<Array<number>>} vectors - Objective vector per individual
+     * @returns {Array<Array<number>>} Fronts of indices, the non-dominated front first
+     */
+    static nonDominatedSort(vectors) {
+        const dominates = (a, b) => a.every((v, k) => v <= b[k]) && a.some((v, k) => v < b[k]);
+        const dominatedBy = vectors.map(() => []); // Indices each vector dominates
+        const dominationCount = vectors.map(() => 0);
+        
+        for (let i = 0; i < vectors.length; i++) {
+            for (let j = i + 1; j < vectors.length; j++) {
+                if (dominates(vectors[i], vectors[j])) {
+                    dominatedBy[i].push(j);
+                    dominationCount[j]++;
+                } else if (dominates(vectors[j], vectors[i])) {
+                    dominatedBy[j].push(i);
+                    dominationCount[i]++;
+                }
+            }
+        }
+        
+        const fronts = [];
+        let front = vectors.map((v, i) => i).filter(i => dominationCount[i] === 0);
+        while (front.length > 0) {
+            fronts.push(front);
+            const next = [];
+            for (const i of front) {
+                for (const j of dominatedBy[i]) {
+                    if (--dominationCount[j] === 0) {
+                        next.push(j);
+                    }
+                }
+            }
+            front = next;
+        }
+        return fronts;
     }
     
     /**
-     * Crossover: create child from two parents using uniform crossover
+     * Crowding distance (NSGA-II) of the vectors of one front: the normalized size of the box around
+     * each vector spanned by its neighbours in every objective; the extremes get Infinity
+     * @param {Array<Array<number>>} vectors - Objective vectors of one front
+     * @returns {Array<number>} Distance per vector (larger means less crowded)
+     */
+    static crowdingDistances(vectors) {
+        const n = vectors.length;
+        const distances = new Array(n).fill(0);
+        if (n === 0) {
+            return distances;
+        }
+        
+        for (let k = 0; k < vectors[0].length; k++) {
+            const order = vectors.map((v, i) => i).sort((a, b) => vectors[a][k] - vectors[b][k]);
+            const range = vectors[order[n - 1]][k] - vectors[order[0]][k];
+            distances[order[0]] = Infinity;
+            distances[order[n - 1]] = Infinity;
+            if (range === 0) {
+                continue;
+            }
+            for (let i = 1; i < n - 1; i++) {
+                distances[order[i]] += (vectors[order[i + 1]][k] - vectors[order[i - 1]][k]) / range;
+            }
+        }
+        return distances;
+    }
+    
+    /**
+     * Check whether an error from batched evaluation means the backend cannot batch this population
+     * (an unsupported layer, or running out of memory or texture space), rather than a bug
+     * @param {Error} error - Error thrown by _evaluatePopulationBatched
+     * @returns {boolean} True if evaluating one network at a time may still work
+     */
+    static isBatchingUnsupported(error) {
+        return /not support|out of memory|\boom\b|texture size|failed to (compile|link)/i.test(String(error && error.message));
+    }
+    
+    /**
+     * Get the index of the layer each weight tensor of a network belongs to (in getWeights() order)
+     * @param {NeuralNetwork} network - Network to inspect
+     * @returns {Array<number>} Layer index per weight tensor
+     */
+    _weightLayers(network) {
+        const layerOf = [];
+        network.getModel().layers.forEach((layer, l) => {
+            layer.weights.forEach(() => layerOf.push(l));
+        });
+        return layerOf;
+    }
+    
+    /**
+     * Crossover: create child from two parents
+     * - 'uniform': every weight comes from a random parent
+     * - 'layer': every layer (kernel and bias) comes from one random parent
+     * - 'neuron': every neuron (its incoming weights and bias) comes from one random parent, so
+     *   units keep working together the way they were evolved
+     * - 'blend': arithmetic crossover, child = λ·parent1 + (1 − λ)·parent2 with one λ per child
+     *   drawn from [-blendAlpha, 1 + blendAlpha]
      * @param {NeuralNetwork} parent1 - First parent network
      * @param {NeuralNetwork} parent2 - Second parent network
      * @returns {NeuralNetwork} Child network
@@ -135,26 +741,37 @@ class GeneticAlgorithm {
         const p1Weights = parent1.getModel().getWeights();
         const p2Weights = parent2.getModel().getWeights();
         
-        const childWeights = p1Weights.map((w1, i) => {
+        const layerOf = this._weightLayers(parent1);
+        const layerMasks = new Map(); // layer index -> mask shared by the layer's kernel and bias
+        const lambda = this.crossover === 'blend'
+            ? -this.blendAlpha + this.random.next() * (1 + 2 * this.blendAlpha)
+            : null;
+        
+        const childWeights = p1Weights.map((w1, i) => tf.tidy(() => {
             const w2 = p2Weights[i];
             
-            // Uniform crossover: randomly pick from each parent
-            const mask = tf.randomUniform(w1.shape, 0, 1);
-            const threshold = tf.scalar(0.5);
-            const fromP1 = mask.greater(threshold);
-            const fromP2 = mask.lessEqual(threshold);
-            
-            const childW = w1.mul(fromP1.cast('float32'))
-                            .add(w2.mul(fromP2.cast('float32')));
+            if (this.crossover === 'blend') {
+                return w1.mul(lambda).add(w2.mul(1 - lambda));
+            }
             
-            // Clean up intermediate tensors
-            mask.dispose();
-            threshold.dispose();
-            fromP1.dispose();
-            fromP2.dispose();
+            let fromP1; // 1 where the child inherits from parent1, broadcastable to w1.shape
+            if (this.crossover === 'uniform') {
+                fromP1 = tf.randomUniform(w1.shape, 0, 1, 'float32', this.random.nextSeed()).greater(0.5);
+            } else {
+                const layer = layerOf[i];
+                if (!layerMasks.has(layer)) {
+                    // Neuron-wise: one choice per output unit (the last axis of both kernel and bias)
+                    const units = w1.shape[w1.rank - 1];
+                    const mask = this.crossover === 'neuron'
+                        ? Array.from({ length: units }, () => this.random.next() < 0.5)
+                        : [this.random.next() < 0.5];
+                    layerMasks.set(layer, mask);
+                }
+                fromP1 = tf.tensor1d(layerMasks.get(layer), 'bool');
+            }
             
-            return childW;
-        });
+            return tf.where(fromP1.broadcastTo(w1.shape), w1, w2);
+        }));
         
         childModel.setWeights(childWeights);
         
@@ -165,21 +782,48 @@ class GeneticAlgorithm {
         return child;
     }
     
+    /**
+     * Mutation strength for a child according to mutationSchedule
+     * - 'fixed': mutationStrength
+     * - 'annealed': mutationStrength · annealingRate^generation, so later generations fine-tune
+     * - 'selfAdaptive': each individual carries its own strength; the child inherits the geometric mean of
+     *   its parents' strengths multiplied by exp(selfAdaptiveRate · N(0, 1)), and strengths that produce
+     *   fit children survive with them
+     * @param {Object} parent1 - First parent individual
+     * @param {Object} parent2 - Second parent individual
+     * @returns {number} Standard deviation of the child's mutation noise
+     */
+    _childMutationStrength(parent1, parent2) {
+        switch (this.mutationSchedule) {
+            case 'annealed':
+                return this.mutationStrength * Math.pow(this.annealingRate, this.generation);
+            
+            case 'selfAdaptive': {
+                const strength = Math.sqrt(parent1.mutationStrength * parent2.mutationStrength);
+                return strength * Math.exp(this.selfAdaptiveRate * this.random.nextGaussian());
+            }
+            
+            default:
+                return this.mutationStrength;
+        }
+    }
+    
     /**
      * Mutate a network's weights
      * @param {NeuralNetwork} network - Network to mutate
+     * @param {number} strength - Standard deviation of the Gaussian noise (default: mutationStrength)
      */
-    _mutate(network) {
+    _mutate(network, strength = this.mutationStrength) {
         const model = network.getModel();
         const weights = model.getWeights();
         
         const mutatedWeights = weights.map(w => {
             // Create mutation mask (mutate mutationRate% of weights)
-            const mutationMask = tf.randomUniform(w.shape, 0, 1);
+            const mutationMask = tf.randomUniform(w.shape, 0, 1, 'float32', this.random.nextSeed());
             const shouldMutate = mutationMask.less(tf.scalar(this.mutationRate));
             
             // Generate Gaussian noise
-            const noise = tf.randomNormal(w.shape, 0, this.mutationStrength);
+            const noise = tf.randomNormal(w.shape, 0, strength, 'float32', this.random.nextSeed());
             
             // Apply mutation only where mask indicates
             const mutated = w.add(noise.mul(shouldMutate.cast('float32')));
@@ -199,48 +843,194 @@ class GeneticAlgorithm {
         // The original weights belong to the network and should never be disposed
     }
     
+    /**
+     * Pick an index with probability proportional to its weight
+     * @param {Array<number>} weights - Non-negative weights
+     * @returns {number} Selected index
+     */
+    _sampleIndex(weights) {
+        const total = weights.reduce((sum, w) => sum + w, 0);
+        let r = this.random.next() * total;
+        for (let i = 0; i < weights.length; i++) {
+            r -= weights[i];
+            if (r < 0) {
+                return i;
+            }
+        }
+        return weights.length - 1;
+    }
+    
+    /**
+     * Select one parent from the evaluated population (sorted by fitness, best first)
+     * - 'tournament': best of tournamentSize individuals drawn at random
+     * - 'roulette': probability proportional to fitness
+     * - 'rank': linear ranking, the best is rankPressure times as likely as the average individual
+     * - 'truncation': uniformly from the best truncationRatio of the population
+     * @returns {number} Index into the population
+     */
+    _selectParent() {
+        const n = this.population.length;
+        
+        switch (this.selection) {
+            case 'tournament': {
+                let best = this.random.nextInt(n);
+                for (let i = 1; i < this.tournamentSize; i++) {
+                    best = Math.min(best, this.random.nextInt(n));
+                }
+                return best;
+            }
+            
+            case 'roulette':
+                return this._sampleIndex(this.population.map(ind => ind.fitness));
+            
+            case 'rank': {
+                if (n === 1) {
+                    return 0;
+                }
+                const s = this.rankPressure;
+                return this._sampleIndex(this.population.map((ind, i) => s - (2 * s - 2) * i / (n - 1)));
+            }
+            
+            case 'truncation':
+                return this.random.nextInt(Math.max(1, Math.round(this.truncationRatio * n)));
+            
+            default:
+                throw new Error(`Unknown selection method: ${this.selection}`);
+        }
+    }
+    
+    /**
+     * Select the two parents of a child
+     * 'top2' always uses the two best individuals; other methods draw each parent independently
+     * @returns {Array<Object>} [parent1, parent2] individuals
+     */
+    _selectParents() {
+        if (this.selection === 'top2') {
+            return [this.population[0], this.population[Math.min(1, this.population.length - 1)]];
+        }
+        return [this.population[this._selectParent()], this.population[this._selectParent()]];
+    }
+    
+    /**
+     * Create the next generation from the evaluated population (sorted by fitness, best first)
+     * Elites are copied unchanged; every other child gets its own parents (see _selectParents) and is
+     * bred with crossover and mutation
+     */
+    _breedNextGeneration() {
+        const nextGeneration = [];
+        
+        // Elite: keep top performers unchanged
+        const eliteCount = Math.min(this.eliteCount, this.population.length);
+        for (let i = 0; i < eliteCount; i++) {
+            const elite = this.population[i];
+            const eliteNetwork = this._createNetwork();
+            const eliteWeights = elite.network.getModel().getWeights();
+            // Clone weights before setting (setWeights takes ownership)
+            const clonedEliteWeights = eliteWeights.map(w => w.clone());
+            eliteNetwork.getModel().setWeights(clonedEliteWeights);
+            // Note: setWeights takes ownership of the cloned weights, so we don't dispose them
+            // The original eliteWeights belong to elite.network and should not be disposed
+            nextGeneration.push({
+                network: eliteNetwork,
+                fitness: null,
+                loss: null,
+                objectives: null,
+                mutationStrength: elite.mutationStrength
+            });
+        }
+        
+        // Breed rest of population from selected parents
+        for (let i = eliteCount; i < this.populationSize; i++) {
+            // Create child from two parents
+            const [parent1, parent2] = this._selectParents();
+            const mutationStrength = this._childMutationStrength(parent1, parent2);
+            const child = this._crossover(parent1.network, parent2.network);
+            
+            // Mutate child
+            this._mutate(child, mutationStrength);
+            
+            nextGeneration.push({
+                network: child,
+                fitness: null,
+                loss: null,
+                objectives: null,
+                mutationStrength: mutationStrength
+            });
+        }
+        
+        // Dispose old population (elites were cloned above)
+        for (const individual of this.population) {
+            individual.network.dispose();
+        }
+        
+        this.population = nextGeneration;
+    }
+    
     /**
      * Train using genetic algorithm
-     * @param {Array<Array<boolean>>} targetShape - 5×5 target shape
+     * Each generation breeds from the previous evaluated population (if any) and then evaluates it,
+     * so the population left after training is always evaluated and can be checkpointed or resumed.
+     * @param {Array<Array<boolean>>|Array<Array<Array<boolean>>>} targetShape - Target-sized boolean array,
+     *        or an array of them to train one network on several targets (fitness is averaged over targets)
      * @param {number} numGenerations - Number of generations to evolve
      * @param {number} genSteps - Number of CA steps for fitness evaluation
      * @param {Function} progressCallback - Optional callback (generation, bestLoss, shouldContinue)
-     * @returns {Promise<Array<number>>} Array of best loss values per generation
+     * @param {Object} options - Training options
+     * @param {boolean} options.resume - Continue from the current population (e.g. a loaded checkpoint)
+     *        instead of creating a new one (default: false)
+     * @returns {Promise<Array<number>>} Array of best loss values per generation of this run
      */
-    async train(targetShape, numGenerations = 100, genSteps = 50, progressCallback = null) {
-        if (!targetShape || targetShape.length !== 5 || targetShape[0].length !== 5) {
-            throw new Error('Target shape must be a 5×5 boolean array');
-        }
+    async train(targetShape, numGenerations = 100, genSteps = 50, progressCallback = null, options = {}) {
+        const targets = Game.toTargetList(targetShape);
+        this.game.validateTargets(targets);
         
         this.isTraining = true;
-        this.generation = 0;
+        if (this.batchedFallbackReason) {
+            // Batching was only turned off by a fallback, so retry it in every run
+            this.batchedEvaluation = true;
+            this.batchedFallbackReason = null;
+        }
         const lossHistory = [];
         
-        // Initialize population
-        console.log(`Initializing population of ${this.populationSize}...`);
-        this._initializePopulation();
+        if (options.resume && this.population.length > 0) {
+            console.log(`Resuming from generation ${this.generation} with ${this.population.length} individuals...`);
+        } else {
+            // Initialize population
+            console.log(`Initializing population of ${this.populationSize}...`);
+            this.dispose();
+            this.isTraining = true;
+            this.generation = 0;
+            this.lossHistory = [];
+            this.samplePools = null;
+            this._initializePopulation();
+        }
+        this._prepareSamplePool(targets.length);
+        
+        const lastGeneration = this.generation + numGenerations;
         
         for (let gen = 0; gen < numGenerations; gen++) {
             if (!this.isTraining) break;
             
-            this.generation = gen + 1;
-            console.log(`Generation ${this.generation}/${numGenerations}`);
+            // Create next generation from the previous evaluated one
+            if (this._isPopulationEvaluated()) {
+                this._breedNextGeneration();
+            }
+            
+            this.generation++;
+            console.log(`Generation ${this.generation}/${lastGeneration}`);
             
             // Evaluate fitness for all networks
             console.log('Evaluating fitness...');
-            for (let i = 0; i < this.population.length; i++) {
-                const individual = this.population[i];
-                const result = this._evaluateFitness(individual.network, targetShape, genSteps);
-                individual.fitness = result.fitness;
-                individual.loss = result.loss;
-            }
+            this._evaluatePopulation(targets, genSteps);
             
-            // Sort by fitness (descending - higher fitness is better)
-            this.population.sort((a, b) => b.fitness - a.fitness);
+            // Sort best first (see fitnessMode)
+            this._rankPopulation();
+            this._updateSamplePool();
             
             // Get best loss (from top performer)
             const bestLoss = this.population[0].loss;
             lossHistory.push(bestLoss);
+            this.lossHistory.push(bestLoss);
             
             console.log(`Generation ${this.generation}: Best loss = ${bestLoss.toFixed(6)}`);
             
@@ -253,63 +1043,128 @@ class GeneticAlgorithm {
                 }
             }
             
-            // Create next generation (except on last iteration)
-            if (gen < numGenerations - 1) {
-                const nextGeneration = [];
-                
-                // Elite: keep top performers unchanged
-                for (let i = 0; i < this.eliteCount; i++) {
-                    const elite = this.population[i];
-                    const eliteNetwork = this._createNetwork();
-                    const eliteWeights = elite.network.getModel().getWeights();
-                    // Clone weights before setting (setWeights takes ownership)
-                    const clonedEliteWeights = eliteWeights.map(w => w.clone());
-                    eliteNetwork.getModel().setWeights(clonedEliteWeights);
-                    // Note: setWeights takes ownership of the cloned weights, so we don't dispose them
-                    // The original eliteWeights belong to elite.network and should not be disposed
-                    nextGeneration.push({
-                        network: eliteNetwork,
-                        fitness: null,
-                        loss: null
-                    });
-                }
-                
-                // Breed rest of population from top 2
-                const parent1 = this.population[0].network;
-                const parent2 = this.population[1].network;
-                
-                for (let i = this.eliteCount; i < this.populationSize; i++) {
-                    // Create child from two parents
-                    const child = this._crossover(parent1, parent2);
-                    
-                    // Mutate child
-                    this._mutate(child);
-                    
-                    nextGeneration.push({
-                        network: child,
-                        fitness: null,
-                        loss: null
-                    });
-                }
-                
-                // Dispose old population (except elites which we cloned)
-                for (let i = this.eliteCount; i < this.population.length; i++) {
-                    this.population[i].network.dispose();
-                }
-                
-                this.population = nextGeneration;
-            }
-            
             // Small delay for UI updates
             await new Promise(resolve => setTimeout(resolve, 10));
         }
         
         // Don't dispose population networks here - they may still be referenced
-        // The best network will be used, and others will be cleaned up when trainer is disposed
+        // The best network will be used, and the population is kept so training can be resumed
         this.isTraining = false;
         return lossHistory;
     }
     
+    /**
+     * Serialize the entire GA state so a run can be saved and resumed later
+     * @returns {Object} JSON-serializable checkpoint
+     */
+    serializeCheckpoint() {
+        if (this.population.length === 0) {
+            throw new Error('No population to checkpoint. Train at least one generation first.');
+        }
+        
+        return {
+            format: GeneticAlgorithm.CHECKPOINT_FORMAT,
+            version: GeneticAlgorithm.CHECKPOINT_VERSION,
+            savedAt: new Date().toISOString(),
+            generation: this.generation,
+            hyperparameters: this.getHyperparameters(),
+            network: this.baseNetwork.getConfig(),
+            target: {
+                width: this.game.targetWidth,
+                height: this.game.targetHeight
+            },
+            random: this.random.getState(),
+            fireRandom: this.cellularAutomata.random.getState(),
+            samplePools: this.samplePools ? this.samplePools.map(pool => pool.serialize()) : null,
+            lossHistory: this.lossHistory.slice(),
+            population: this.population.map(ind => ({
+                weights: ind.network.exportWeights(),
+                fitness: ind.fitness,
+                loss: ind.loss,
+                objectives: ind.objectives,
+                mutationStrength: ind.mutationStrength
+            }))
+        };
+    }
+    
+    /**
+     * Replace the current population and GA state with a checkpoint from serializeCheckpoint()
+     * The network architecture must match the base network; hyperparameters are restored from the
+     * checkpoint and can be changed afterwards with setHyperparameters() before resuming.
+     * @param {Object} checkpoint - Checkpoint data
+     */
+    loadCheckpoint(checkpoint) {
+        if (this.isTraining) {
+            throw new Error('Cannot load a checkpoint while training');
+        }
+        if (!checkpoint || checkpoint.format !== GeneticAlgorithm.CHECKPOINT_FORMAT) {
+            throw new Error('Not a genetic algorithm checkpoint');
+        }
+        if (checkpoint.version > GeneticAlgorithm.CHECKPOINT_VERSION) {
+            throw new Error(`Checkpoint version ${checkpoint.version} is newer than supported version ${GeneticAlgorithm.CHECKPOINT_VERSION}`);
+        }
+        if (!Array.isArray(checkpoint.population) || checkpoint.population.length === 0) {
+            throw new Error('Checkpoint has no population');
+        }
+        
+        const expected = this.baseNetwork.getConfig();
+        const mismatch = Object.keys(expected).find(key => checkpoint.network[key] !== expected[key]);
+        if (mismatch) {
+            throw new Error(`Checkpoint network ${mismatch} is ${checkpoint.network[mismatch]}, expected ${expected[mismatch]}`);
+        }
+        if (checkpoint.target && (checkpoint.target.width !== this.game.targetWidth || checkpoint.target.height !== this.game.targetHeight)) {
+            throw new Error(`Checkpoint target size is ${checkpoint.target.width}×${checkpoint.target.height}, expected ${this.game.targetWidth}×${this.game.targetHeight}`);
+        }
+        GeneticAlgorithm.validateHyperparameters(checkpoint.hyperparameters || {});
+        const samplePools = checkpoint.samplePools
+            ? checkpoint.samplePools.map(data => SamplePool.deserialize(data, this.random))
+            : null;
+        if (samplePools && samplePools.some(pool => pool.seedState.length !== this.grid.width * this.grid.height * this.grid.channels)) {
+            throw new Error('Checkpoint sample pool does not match the grid size');
+        }
+        
+        // Build the new population before discarding the current one, so a bad checkpoint changes nothing
+        const population = [];
+        try {
+            for (const saved of checkpoint.population) {
+                const network = this._createNetwork();
+                population.push({
+                    network: network,
+                    fitness: saved.fitness,
+                    loss: saved.loss,
+                    objectives: saved.objectives || null,
+                    mutationStrength: saved.mutationStrength
+                });
+                network.importWeights(saved.weights);
+            }
+        } catch (error) {
+            population.forEach(ind => ind.network.dispose());
+            throw error;
+        }
+        
+        this.dispose();
+        this.population = population;
+        this.generation = checkpoint.generation || 0;
+        this.lossHistory = (checkpoint.lossHistory || []).slice();
+        this.random.setState(checkpoint.random);
+        this.samplePools = samplePools;
+        if (checkpoint.fireRandom) {
+            this.cellularAutomata.random.setState(checkpoint.fireRandom);
+        }
+        
+        // Checkpoints from older versions may lack some hyperparameters; those keep their current values,
+        // except selection: checkpoints from before it was configurable always bred from the two best individuals
+        this.setHyperparameters(Object.assign({ selection: 'top2' }, checkpoint.hyperparameters, { populationSize: undefined }));
+        this.populationSize = population.length;
+        population.forEach(ind => {
+            if (ind.mutationStrength === undefined) {
+                ind.mutationStrength = this.mutationStrength;
+            }
+        });
+        
+        console.log(`Loaded checkpoint at generation ${this.generation} with ${population.length} individuals`);
+    }
+    
     /**
      * Get the best network from the population
      * @returns {NeuralNetwork} Best performing network
@@ -353,3 +1208,13 @@ class GeneticAlgorithm {
     }
 }
 
+GeneticAlgorithm.CHECKPOINT_FORMAT = 'neuralca-ga-checkpoint';
+GeneticAlgorithm.CHECKPOINT_VERSION = 1;
+GeneticAlgorithm.SELECTION_METHODS = ['top2', 'tournament', 'roulette', 'rank', 'truncation'];
+GeneticAlgorithm.CROSSOVER_METHODS = ['uniform', 'layer', 'neuron', 'blend'];
+GeneticAlgorithm.MUTATION_SCHEDULES = ['fixed', 'annealed', 'selfAdaptive'];
+GeneticAlgorithm.FITNESS_MODES = ['weighted', 'pareto'];
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = GeneticAlgorithm;
+}
@@ -1,11 +1,45 @@
 /**
- * Grid.js - Manages 9×9 cell states for Neural Cellular Automata
- * Each cell stores: { on: boolean, stateVector: Float32Array(2) }
+ * Grid.js - Manages width×height cell states for Neural Cellular Automata (default 9×9)
+ * Each cell stores: { on: boolean, stateVector: Float32Array(hiddenChannels) }
+ * With continuousAlive enabled, `on` holds the alive value as a float in [0, 1] instead
  */
 class Grid {
-    constructor(width = 9, height = 9) {
+    /**
+     * Create a new grid
+     * @param {number} width - Number of columns (default: 9)
+     * @param {number} height - Number of rows (default: 9)
+     * @param {Object} config - Configuration object
+     * @param {number} config.hiddenChannels - Number of hidden state floats per cell (default: 2)
+     * @param {string|Array<Array<number>>} config.neighborhood - 'vonNeumann', 'moore' or a custom
+     *        list of [dx, dy] offsets (default: 'vonNeumann')
+     * @param {number} config.neighborhoodRadius - Radius for 'vonNeumann' / 'moore' (default: 1)
+     * @param {string} config.boundary - Boundary condition: 'wrap' (torus), 'zero' (constant empty
+     *        cells outside the grid) or 'mirror' (reflect at the edges) (default: 'wrap')
+     * @param {boolean} config.continuousAlive - Store the alive channel as a float in [0, 1] instead of
+     *        a boolean (default: false)
+     */
+    constructor(width = 9, height = 9, config = {}) {
         this.width = width;
         this.height = height;
+        this.hiddenChannels = config.hiddenChannels !== undefined ? config.hiddenChannels : 2;
+        this.channels = 1 + this.hiddenChannels; // on/off + hidden state
+        this.neighborhood = config.neighborhood || 'vonNeumann';
+        this.neighborhoodRadius = config.neighborhoodRadius || 1;
+        this.neighborOffsets = Grid.resolveNeighborhood(this.neighborhood, this.neighborhoodRadius);
+        this.neighborhoodSize = this.neighborOffsets.length;
+        this.boundary = config.boundary || 'wrap';
+        if (!Grid.BOUNDARIES.includes(this.boundary)) {
+            throw new Error(`Unknown boundary condition: ${this.boundary}`);
+        }
+        
+        this.continuousAlive = config.continuousAlive || false;
+        
+        // Shared all-zero cell returned for out-of-bounds reads with 'zero' boundaries (never modified)
+        this.emptyCell = {
+            on: this.continuousAlive ? 0 : false,
+            stateVector: new Float32Array(this.hiddenChannels)
+        };
+        
         this.cells = [];
         
         // Initialize grid with all cells off and zero state vectors
@@ -13,20 +47,102 @@ class Grid {
             this.cells[y] = [];
             for (let x = 0; x < width; x++) {
                 this.cells[y][x] = {
-                    on: false,
-                    stateVector: new Float32Array(2) // 2 floats initialized to 0
+                    on: this.continuousAlive ? 0 : false,
+                    stateVector: new Float32Array(this.hiddenChannels) // hiddenChannels floats initialized to 0
                 };
             }
         }
     }
     
     /**
-     * Get cell state at position (x, y) with torus (wrap-around) boundary conditions
+     * Resolve a neighborhood specification into a list of [dx, dy] offsets
+     * von Neumann radius 1 keeps the original order (top, bottom, left, right, self) so existing
+     * networks stay valid; other kernels list neighbors row by row with self last
+     * @param {string|Array<Array<number>>} neighborhood - 'vonNeumann', 'moore' or custom [dx, dy] list
+     * @param {number} radius - Neighborhood radius for 'vonNeumann' / 'moore' (default: 1)
+     * @returns {Array<Array<number>>} Array of [dx, dy] offsets
+     */
+    static resolveNeighborhood(neighborhood, radius = 1) {
+        if (Array.isArray(neighborhood)) {
+            const valid = neighborhood.length > 0 && neighborhood.every(offset =>
+                Array.isArray(offset) && offset.length === 2 &&
+                Number.isInteger(offset[0]) && Number.isInteger(offset[1])
+            );
+            if (!valid) {
+                throw new Error('Custom neighborhood must be a non-empty list of integer [dx, dy] offsets');
+            }
+            return neighborhood.map(([dx, dy]) => [dx, dy]);
+        }
+        
+        if (neighborhood !== 'vonNeumann' && neighborhood !== 'moore') {
+            throw new Error(`Unknown neighborhood: ${neighborhood}`);
+        }
+        
+        if (neighborhood === 'vonNeumann' && radius === 1) {
+            return [[0, -1], [0, 1], [-1, 0], [1, 0], [0, 0]]; // top, bottom, left, right, self
+        }
+        
+        const offsets = [];
+        for (let dy = -radius; dy <= radius; dy++) {
+            for (let dx = -radius; dx <= radius; dx++) {
+                if (dx === 0 && dy === 0) continue; // self goes last
+                const inside = neighborhood === 'moore' || Math.abs(dx) + Math.abs(dy) <= radius;
+                if (inside) {
+                    offsets.push([dx, dy]);
+                }
+            }
+        }
+        offsets.push([0, 0]);
+        return offsets;
+    }
+    
+    /**
+     * Get the alive value of a cell as a number (booleans map to 0 / 1)
+     * @param {Object} cell - Cell state from getCell()
+     * @returns {number} Alive value in [0, 1]
+     */
+    static aliveValue(cell) {
+        if (typeof cell.on === 'number') {
+            return cell.on;
+        }
+        return cell.on ? 1.0 : 0.0;
+    }
+    
+    /**
+     * Map an out-of-range index back into [0, size) by reflecting at the edges
+     * The edge cell is repeated, so -1 maps to 0 and size maps to size - 1
+     * @param {number} index - Row or column index
+     * @param {number} size - Grid height or width
+     * @returns {number} Reflected index
+     */
+    static mirrorIndex(index, size) {
+        const period = 2 * size;
+        const folded = ((index % period) + period) % period;
+        return folded < size ? folded : period - 1 - folded;
+    }
+    
+    /**
+     * Get cell state at position (x, y) using the grid's boundary conditions
+     * - 'wrap': torus (wrap-around)
+     * - 'zero': positions outside the grid read as an empty cell (off, zero state vector)
+     * - 'mirror': positions outside the grid reflect back across the nearest edge
      * @param {number} x - Column index
      * @param {number} y - Row index
-     * @returns {Object} Cell state { on: boolean, stateVector: Float32Array(2) }
+     * @returns {Object} Cell state { on: boolean, stateVector: Float32Array(hiddenChannels) }
      */
     getCell(x, y) {
+        if (x >= 0 && x < this.width && y >= 0 && y < this.height) {
+            return this.cells[y][x];
+        }
+        
+        if (this.boundary === 'zero') {
+            return this.emptyCell;
+        }
+        
+        if (this.boundary === 'mirror') {
+            return this.cells[Grid.mirrorIndex(y, this.height)][Grid.mirrorIndex(x, this.width)];
+        }
+        
         // Torus boundary conditions: wrap around
         const wrappedX = ((x % this.width) + this.width) % this.width;
         const wrappedY = ((y % this.height) + this.height) % this.height;
@@ -37,54 +153,86 @@ class Grid {
      * Set cell state at position (x, y)
      * @param {number} x - Column index
      * @param {number} y - Row index
-     * @param {boolean} on - On/off state
-     * @param {Float32Array} stateVector - Optional state vector (5 floats)
+     * @param {boolean|number} on - On/off state (alive value in [0, 1] with continuousAlive)
+     * @param {Float32Array} stateVector - Optional state vector (hiddenChannels floats)
      */
     setCell(x, y, on, stateVector = null) {
         if (x < 0 || x >= this.width || y < 0 || y >= this.height) {
             return; // Out of bounds
         }
         
-        this.cells[y][x].on = on;
-        if (stateVector !== null && stateVector.length === 2) {
+        this.cells[y][x].on = this.continuousAlive ? Number(on) : !!on;
+        if (stateVector !== null && stateVector.length === this.hiddenChannels) {
             this.cells[y][x].stateVector.set(stateVector);
         }
     }
     
     /**
-     * Get neighbors of a cell (top, bottom, left, right, self)
-     * Returns 5 neighbors as specified in the architecture
+     * Get neighbors of a cell in neighborOffsets order
+     * The default von Neumann neighborhood returns top, bottom, left, right, self
      * @param {number} x - Column index
      * @param {number} y - Row index
-     * @returns {Array} Array of 5 neighbor cell states
+     * @returns {Array} Array of neighborhoodSize neighbor cell states
      */
     getNeighbors(x, y) {
-        return [
-            this.getCell(x, y - 1),     // top
-            this.getCell(x, y + 1),     // bottom
-            this.getCell(x - 1, y),     // left
-            this.getCell(x + 1, y),     // right
-            this.getCell(x, y)          // self
-        ];
+        return this.neighborOffsets.map(([dx, dy]) => this.getCell(x + dx, y + dy));
+    }
+    
+    /**
+     * Flat index (y * width + x) of every neighbor of every cell, honouring the boundary conditions
+     * Cells are row-major and each cell's neighbors are in neighborOffsets order, so the table matches
+     * getNeighbors(); with 'zero' boundaries, positions outside the grid map to width * height
+     * (an extra empty cell the caller appends after the last cell)
+     * @returns {Int32Array} (width × height × neighborhoodSize) indices
+     */
+    getNeighborIndexTable() {
+        const table = new Int32Array(this.width * this.height * this.neighborhoodSize);
+        const emptyIndex = this.width * this.height;
+        
+        let idx = 0;
+        for (let y = 0; y < this.height; y++) {
+            for (let x = 0; x < this.width; x++) {
+                for (const [dx, dy] of this.neighborOffsets) {
+                    let nx = x + dx;
+                    let ny = y + dy;
+                    const inside = nx >= 0 && nx < this.width && ny >= 0 && ny < this.height;
+                    
+                    if (!inside && this.boundary === 'zero') {
+                        table[idx++] = emptyIndex;
+                        continue;
+                    }
+                    if (!inside && this.boundary === 'mirror') {
+                        nx = Grid.mirrorIndex(nx, this.width);
+                        ny = Grid.mirrorIndex(ny, this.height);
+                    } else if (!inside) {
+                        nx = ((nx % this.width) + this.width) % this.width;
+                        ny = ((ny % this.height) + this.height) % this.height;
+                    }
+                    table[idx++] = ny * this.width + nx;
+                }
+            }
+        }
+        
+        return table;
     }
     
     /**
      * Get neighbor data as a flat array for neural network input
-     * Returns 15 values: 5 neighbors × 3 values (1 on/off + 2 state vector floats)
+     * Returns neighborhoodSize × channels values (1 on/off + hiddenChannels state vector floats per neighbor)
      * @param {number} x - Column index
      * @param {number} y - Row index
-     * @returns {Float32Array} 15-element array for neural network input
+     * @returns {Float32Array} (neighborhoodSize × channels)-element array for neural network input
      */
     getNeighborInput(x, y) {
         const neighbors = this.getNeighbors(x, y);
-        const input = new Float32Array(15);
+        const input = new Float32Array(neighbors.length * this.channels);
         
         let idx = 0;
         for (const neighbor of neighbors) {
-            // Add on/off state (0 or 1)
-            input[idx++] = neighbor.on ? 1.0 : 0.0;
-            // Add 2 state vector floats
-            for (let i = 0; i < 2; i++) {
+            // Add on/off state (0 or 1, or the alive value with continuousAlive)
+            input[idx++] = Grid.aliveValue(neighbor);
+            // Add hidden state vector floats
+            for (let i = 0; i < this.hiddenChannels; i++) {
                 input[idx++] = neighbor.stateVector[i];
             }
         }
@@ -98,7 +246,7 @@ class Grid {
     clear() {
         for (let y = 0; y < this.height; y++) {
             for (let x = 0; x < this.width; x++) {
-                this.cells[y][x].on = false;
+                this.cells[y][x].on = this.continuousAlive ? 0 : false;
                 this.cells[y][x].stateVector.fill(0);
             }
         }
@@ -111,6 +259,24 @@ class Grid {
         this.clear();
     }
     
+    /**
+     * Get the grid configuration (enough to create an identically configured empty grid)
+     * @returns {Object} { width, height, hiddenChannels, neighborhood, neighborhoodRadius, boundary, continuousAlive }
+     */
+    getConfig() {
+        return {
+            width: this.width,
+            height: this.height,
+            hiddenChannels: this.hiddenChannels,
+            neighborhood: Array.isArray(this.neighborhood)
+                ? this.neighborhood.map(offset => offset.slice())
+                : this.neighborhood,
+            neighborhoodRadius: this.neighborhoodRadius,
+            boundary: this.boundary,
+            continuousAlive: this.continuousAlive
+        };
+    }
+    
     /**
      * Get a copy of the current grid state
      * @returns {Array} 2D array copy of cell states
@@ -130,41 +296,65 @@ class Grid {
     }
     
     /**
-     * Convert grid state to TensorFlow tensor
-     * Returns tensor of shape [height, width, 3] where channels are: [on/off, stateVector[2]]
-     * @returns {tf.Tensor} Tensor of shape [height, width, 3]
+     * Copy the grid state into a flat array in toTensor() layout (row-major cells, channels
+     * [on/off, stateVector[hiddenChannels]])
+     * @returns {Float32Array} height × width × channels values
      */
-    toTensor() {
-        const data = [];
+    toArray() {
+        const data = new Float32Array(this.height * this.width * this.channels);
+        let idx = 0;
         for (let y = 0; y < this.height; y++) {
             for (let x = 0; x < this.width; x++) {
                 const cell = this.cells[y][x];
-                data.push(
-                    cell.on ? 1.0 : 0.0,  // on/off
-                    cell.stateVector[0],   // state vector components
-                    cell.stateVector[1]
-                );
+                data[idx++] = Grid.aliveValue(cell); // on/off
+                data.set(cell.stateVector, idx);    // state vector components
+                idx += this.hiddenChannels;
             }
         }
-        return tf.tensor3d(data, [this.height, this.width, 3]);
+        return data;
+    }
+    
+    /**
+     * Convert grid state to TensorFlow tensor
+     * Returns tensor of shape [height, width, channels] where channels are: [on/off, stateVector[hiddenChannels]]
+     * @returns {tf.Tensor} Tensor of shape [height, width, channels]
+     */
+    toTensor() {
+        return tf.tensor3d(this.toArray(), [this.height, this.width, this.channels]);
     }
     
     /**
      * Update grid state from TensorFlow tensor
-     * @param {tf.Tensor} tensor - Tensor of shape [height, width, 3]
+     * The on/off channel is thresholded at 0.5 unless continuousAlive is enabled
+     * @param {tf.Tensor} tensor - Tensor of shape [height, width, channels]
      */
     fromTensor(tensor) {
-        const data = tensor.dataSync();
+        this.fromArray(tensor.dataSync());
+    }
+    
+    /**
+     * Update grid state from a flat array in toTensor() layout (see toArray)
+     * The on/off channel is thresholded at 0.5 unless continuousAlive is enabled
+     * @param {Float32Array|Array<number>} data - height × width × channels values
+     */
+    fromArray(data) {
         let idx = 0;
         for (let y = 0; y < this.height; y++) {
             for (let x = 0; x < this.width; x++) {
-                const on = data[idx++] > 0.5;
-                const stateVector = new Float32Array(2);
-                stateVector[0] = data[idx++];
-                stateVector[1] = data[idx++];
+                const on = this.continuousAlive ? data[idx++] : data[idx++] > 0.5;
+                const stateVector = data.slice(idx, idx + this.hiddenChannels);
+                idx += this.hiddenChannels;
                 this.setCell(x, y, on, stateVector);
             }
         }
     }
 }
 
+/**
+ * Supported boundary conditions
+ */
+Grid.BOUNDARIES = ['wrap', 'zero', 'mirror'];
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = Grid;
+}
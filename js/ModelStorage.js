@@ -0,0 +1,197 @@
+/**
+ * ModelStorage.js - Save and load trained models together with their CA configuration
+ * A saved model is a plain JSON object containing the network weights and every setting needed to
+ * make them meaningful (hidden sizes, hidden channels, neighborhood, grid size, update rule,
+ * target shapes, genSteps, seed). It can be downloaded as a file or kept in browser local storage slots.
+ */
+class ModelStorage {
+    /**
+     * Serialize a trained network and the CA configuration it was trained with
+     * @param {Object} params - What to save
+     * @param {NeuralNetwork} params.neuralNetwork - The trained network
+     * @param {CellularAutomata} params.cellularAutomata - The CA (provides grid and update configuration)
+     * @param {Game} params.game - The game (provides target size)
+     * @param {Array<Array<boolean>>|Array<Array<Array<boolean>>>} params.targetShape - Target shape the network
+     *        was trained on, or the list of targets of a multi-target network
+     * @param {number} params.genSteps - Number of CA steps used for training
+     * @param {number|null} params.seed - Random seed of the training run, if known (default: null)
+     * @returns {Object} JSON-serializable model data
+     */
+    static serialize({ neuralNetwork, cellularAutomata, game, targetShape, genSteps, seed = null }) {
+        if (!neuralNetwork || !cellularAutomata || !game) {
+            throw new Error('ModelStorage.serialize requires neuralNetwork, cellularAutomata and game');
+        }
+        
+        const targets = targetShape ? Game.toTargetList(targetShape).map(shape => shape.map(row => row.map(value => !!value))) : null;
+        
+        return {
+            format: ModelStorage.FORMAT,
+            version: ModelStorage.VERSION,
+            savedAt: new Date().toISOString(),
+            network: {
+                config: neuralNetwork.getConfig(),
+                weights: neuralNetwork.exportWeights()
+            },
+            grid: cellularAutomata.grid.getConfig(),
+            automata: cellularAutomata.getConfig(),
+            target: {
+                width: game.targetWidth,
+                height: game.targetHeight,
+                shape: targets ? targets[0] : null,
+                // Only multi-target models list every target; shape stays the first one for older readers
+                shapes: targets && targets.length > 1 ? targets : undefined
+            },
+            genSteps: genSteps,
+            seed: seed
+        };
+    }
+    
+    /**
+     * Validate model data produced by serialize()
+     * @param {Object} data - Model data
+     * @throws {Error} If the data is not a compatible saved model
+     */
+    static validate(data) {
+        if (!data || data.format !== ModelStorage.FORMAT) {
+            throw new Error('Not a Neural Cellular Automata model file');
+        }
+        if (data.version > ModelStorage.VERSION) {
+            throw new Error(`Model file version ${data.version} is newer than supported version ${ModelStorage.VERSION}`);
+        }
+        if (!data.network || !data.network.config || !Array.isArray(data.network.weights) || !data.grid) {
+            throw new Error('Model file is missing network or grid data');
+        }
+    }
+    
+    /**
+     * Rebuild NeuralNetwork, Grid, CellularAutomata and Game from model data
+     * The grid is reset to the seed cell
+     * @param {Object} data - Model data produced by serialize()
+     * @returns {Object} { neuralNetwork, grid, cellularAutomata, game, targetShape, targets, genSteps, seed };
+     *          targetShape is the first of targets
+     */
+    static restore(data) {
+        ModelStorage.validate(data);
+        
+        const neuralNetwork = new NeuralNetwork(data.network.config);
+        neuralNetwork.initialize();
+        try {
+            neuralNetwork.importWeights(data.network.weights);
+        } catch (error) {
+            neuralNetwork.dispose();
+            throw error;
+        }
+        
+        const { width, height, ...gridConfig } = data.grid;
+        const grid = new Grid(width, height, gridConfig);
+        const cellularAutomata = new CellularAutomata(grid, neuralNetwork, data.automata || {});
+        
+        const target = data.target || {};
+        const game = new Game(grid, cellularAutomata, {
+            targetWidth: target.width,
+            targetHeight: target.height
+        });
+        const shapes = target.shapes || (target.shape ? [target.shape] : null);
+        const targets = shapes
+            ? shapes.map(shape => shape.map(row => row.map(value => !!value)))
+            : [Game.createEmptyTarget(game.targetWidth, game.targetHeight)];
+        game.validateTargets(targets);
+        game.resetToSeed();
+        
+        return {
+            neuralNetwork,
+            grid,
+            cellularAutomata,
+            game,
+            targetShape: targets[0],
+            targets,
+            genSteps: data.genSteps,
+            seed: data.seed !== undefined ? data.seed : null
+        };
+    }
+    
+    /**
+     * Convert model data to a JSON string (for downloading)
+     * @param {Object} data - Model data produced by serialize()
+     * @returns {string} JSON text
+     */
+    static toJSON(data) {
+        return JSON.stringify(data);
+    }
+    
+    /**
+     * Parse and validate model data from a JSON string (e.g. an uploaded file)
+     * @param {string} text - JSON text
+     * @returns {Object} Model data
+     */
+    static fromJSON(text) {
+        const data = JSON.parse(text);
+        ModelStorage.validate(data);
+        return data;
+    }
+    
+    /**
+     * Save model data to a browser local storage slot
+     * @param {string} slot - Slot name
+     * @param {Object} data - Model data produced by serialize()
+     */
+    static saveToSlot(slot, data) {
+        if (!slot) {
+            throw new Error('Slot name is required');
+        }
+        ModelStorage._getLocalStorage().setItem(ModelStorage.SLOT_PREFIX + slot, ModelStorage.toJSON(data));
+    }
+    
+    /**
+     * Load model data from a browser local storage slot
+     * @param {string} slot - Slot name
+     * @returns {Object|null} Model data, or null if the slot is empty
+     */
+    static loadFromSlot(slot) {
+        const text = ModelStorage._getLocalStorage().getItem(ModelStorage.SLOT_PREFIX + slot);
+        return text === null ? null : ModelStorage.fromJSON(text);
+    }
+    
+    /**
+     * Delete a browser local storage slot
+     * @param {string} slot - Slot name
+     */
+    static deleteSlot(slot) {
+        ModelStorage._getLocalStorage().removeItem(ModelStorage.SLOT_PREFIX + slot);
+    }
+    
+    /**
+     * List saved local storage slots
+     * @returns {Array<string>} Slot names, sorted
+     */
+    static listSlots() {
+        const storage = ModelStorage._getLocalStorage();
+        const slots = [];
+        for (let i = 0; i < storage.length; i++) {
+            const key = storage.key(i);
+            if (key && key.startsWith(ModelStorage.SLOT_PREFIX)) {
+                slots.push(key.slice(ModelStorage.SLOT_PREFIX.length));
+            }
+        }
+        return slots.sort();
+    }
+    
+    /**
+     * Internal method: get browser local storage
+     * @returns {Storage} window.localStorage
+     */
+    static _getLocalStorage() {
+        if (typeof localStorage === 'undefined') {
+            throw new Error('Local storage is not available in this environment');
+        }
+        return localStorage;
+    }
+}
+
+ModelStorage.FORMAT = 'neuralca-model';
+ModelStorage.VERSION = 1;
+ModelStorage.SLOT_PREFIX = 'neuralca-model:';
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ModelStorage;
+}
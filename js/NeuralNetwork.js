@@ -1,8 +1,9 @@
 /**
  * NeuralNetwork.js - TensorFlow.js model wrapper for Neural Cellular Automata
- * Architecture: 15 input → hidden1 (ReLU) → hidden2 (ReLU) → 3 output
- * Input: 15 values (5 neighbors × 3 values: 1 on/off + 2 state vector floats)
- * Output: 3 values (1 on/off + 2 state vector floats)
+ * Architecture: inputSize → hidden1 (ReLU) → hidden2 (ReLU) → stateSize output
+ * With the default 5-cell neighborhood and 2 hidden channels: 15 input → hidden1 → hidden2 → 3 output
+ * Input: neighborhoodSize neighbors × stateSize values (1 on/off + hiddenChannels state vector floats)
+ * Output: stateSize values (1 on/off + hiddenChannels state vector floats)
  */
 class NeuralNetwork {
     /**
@@ -10,10 +11,16 @@ class NeuralNetwork {
      * @param {Object} config - Configuration object
      * @param {number} config.hiddenSize1 - Size of first hidden layer (default: 64)
      * @param {number} config.hiddenSize2 - Size of second hidden layer (default: 128)
+     * @param {number} config.hiddenChannels - Number of hidden state floats per cell (default: 2)
+     * @param {number} config.neighborhoodSize - Number of cells in the neighborhood, including self (default: 5)
      */
     constructor(config = {}) {
         this.hiddenSize1 = config.hiddenSize1 || 16;
         this.hiddenSize2 = config.hiddenSize2 || 16;
+        this.hiddenChannels = config.hiddenChannels !== undefined ? config.hiddenChannels : 2;
+        this.stateSize = 1 + this.hiddenChannels; // on/off + hidden state
+        this.neighborhoodSize = config.neighborhoodSize || 5;
+        this.inputSize = this.neighborhoodSize * this.stateSize; // neighbors × stateSize
         this.model = null;
         this.isInitialized = false;
     }
@@ -21,8 +28,9 @@ class NeuralNetwork {
     /**
      * Initialize the neural network model
      * Creates a TensorFlow.js sequential model with the specified architecture
+     * @param {number|null} seed - Seed for the initial weights (default: null, unseeded)
      */
-    initialize() {
+    initialize(seed = null) {
         if (this.isInitialized) {
             console.warn('Neural network already initialized');
             return;
@@ -36,9 +44,9 @@ class NeuralNetwork {
         // Create sequential model
         this.model = tf.sequential({
             layers: [
-                // Input layer: 15 neurons (5 neighbors × 3 values)
+                // Input layer: inputSize neurons (neighborhoodSize neighbors × stateSize values)
                 tf.layers.dense({
-                    inputShape: [15],
+                    inputShape: [this.inputSize],
                     units: this.hiddenSize1,
                     activation: 'relu',
                     kernelRegularizer: tf.regularizers.l2({l2: 0.0001}), // L2 regularization
@@ -59,9 +67,9 @@ class NeuralNetwork {
                     name: 'dropout'
                 }),
                 
-                // Output layer: 3 neurons (1 on/off + 2 state vector floats)
+                // Output layer: stateSize neurons (1 on/off + hiddenChannels state vector floats)
                 tf.layers.dense({
-                    units: 3,
+                    units: this.stateSize,
                     activation: 'linear', // We'll apply sigmoid to first output separately
                     name: 'output'
                 })
@@ -76,15 +84,44 @@ class NeuralNetwork {
         });
         
         this.isInitialized = true;
-        console.log(`Neural network initialized: 15 → ${this.hiddenSize1} → ${this.hiddenSize2} → 3`);
+        if (seed !== null && seed !== undefined) {
+            this.resetWeights(seed);
+        }
+        console.log(`Neural network initialized: ${this.inputSize} → ${this.hiddenSize1} → ${this.hiddenSize2} → ${this.stateSize}`);
+    }
+    
+    /**
+     * Re-draw all weights as at initialization (Glorot uniform kernels, zero biases)
+     * With a seed the weights are reproducible: the same seed always gives the same network
+     * @param {number|null} seed - Seed for the weights (default: null, unseeded)
+     */
+    resetWeights(seed = null) {
+        if (!this.isInitialized) {
+            throw new Error('Neural network not initialized. Call initialize() first.');
+        }
+        
+        const random = new Random(seed);
+        const weights = this.model.layers
+            .filter(layer => layer.getClassName() === 'Dense')
+            .map(layer => {
+                const [kernel, bias] = layer.getWeights();
+                const initializer = tf.initializers.glorotUniform({ seed: random.nextSeed() });
+                return [initializer.apply(kernel.shape), tf.zerosLike(bias)];
+            });
+        
+        const tensors = [].concat(...weights);
+        this.model.setWeights(tensors);
+        tensors.forEach(t => t.dispose()); // setWeights copies values into the model's variables
     }
     
     /**
      * Forward pass: predict new cell state from neighbor states
-     * @param {Float32Array|Array|tf.Tensor} input - 15-element input array (5 neighbors × 3 values)
-     * @returns {Object} { on: boolean, stateVector: Float32Array(2) }
+     * @param {Float32Array|Array|tf.Tensor} input - inputSize-element input array (neighborhoodSize × stateSize values)
+     * @param {Object} options - Prediction options
+     * @param {boolean} options.continuousAlive - If true, return the sigmoid value instead of thresholding it
+     * @returns {Object} { on: boolean|number, stateVector: Float32Array(hiddenChannels) }
      */
-    predict(input) {
+    predict(input, options = {}) {
         if (!this.isInitialized) {
             throw new Error('Neural network not initialized. Call initialize() first.');
         }
@@ -94,9 +131,9 @@ class NeuralNetwork {
         if (input instanceof tf.Tensor) {
             inputTensor = input;
         } else {
-            // Ensure input is a 2D tensor [batch_size, 15]
+            // Ensure input is a 2D tensor [batch_size, inputSize]
             const inputArray = Array.isArray(input) ? input : Array.from(input);
-            inputTensor = tf.tensor2d([inputArray], [1, 15]);
+            inputTensor = tf.tensor2d([inputArray], [1, this.inputSize]);
         }
         
         // Run forward pass
@@ -111,11 +148,11 @@ class NeuralNetwork {
         
         // Process output: first value is on/off (apply sigmoid), rest are state vector
         const onValue = 1 / (1 + Math.exp(-outputValues[0])); // Sigmoid
-        const on = onValue > 0.5;
+        const on = options.continuousAlive ? onValue : onValue > 0.5;
         
         // Apply tanh to state vector to keep values in [-1, 1] range
-        const stateVector = new Float32Array(2);
-        for (let i = 0; i < 2; i++) {
+        const stateVector = new Float32Array(this.hiddenChannels);
+        for (let i = 0; i < this.hiddenChannels; i++) {
             stateVector[i] = Math.tanh(outputValues[i + 1]);
         }
         
@@ -126,11 +163,12 @@ class NeuralNetwork {
     }
     
     /**
-     * Batch predict: predict multiple cell states at once (more efficient)
-     * @param {Array<Float32Array>|tf.Tensor} inputs - Array of 15-element input arrays or a 2D tensor
-     * @returns {Array<Object>} Array of { on: boolean, stateVector: Float32Array(2) }
+     * Batch predict raw (pre-activation) outputs for multiple cells at once
+     * Used by residual updates, where the outputs are deltas added to the current state
+     * @param {Array<Float32Array>|tf.Tensor} inputs - Array of inputSize-element input arrays or a 2D tensor
+     * @returns {Float32Array} Flat array of batchSize × stateSize raw output values
      */
-    predictBatch(inputs) {
+    predictBatchRaw(inputs) {
         if (!this.isInitialized) {
             throw new Error('Neural network not initialized. Call initialize() first.');
         }
@@ -140,11 +178,11 @@ class NeuralNetwork {
         if (inputs instanceof tf.Tensor) {
             inputTensor = inputs;
         } else {
-            // Convert array of arrays to 2D tensor [batch_size, 15]
+            // Convert array of arrays to 2D tensor [batch_size, inputSize]
             const inputArray = inputs.map(arr => 
                 Array.isArray(arr) ? arr : Array.from(arr)
             );
-            inputTensor = tf.tensor2d(inputArray, [inputs.length, 15]);
+            inputTensor = tf.tensor2d(inputArray, [inputs.length, this.inputSize]);
         }
         
         // Run forward pass
@@ -152,24 +190,37 @@ class NeuralNetwork {
         
         // Extract values synchronously
         const outputValues = outputTensor.dataSync();
-        const batchSize = inputTensor.shape[0];
         
         // Clean up tensors
         inputTensor.dispose();
         outputTensor.dispose();
         
+        return outputValues;
+    }
+    
+    /**
+     * Batch predict: predict multiple cell states at once (more efficient)
+     * @param {Array<Float32Array>|tf.Tensor} inputs - Array of inputSize-element input arrays or a 2D tensor
+     * @param {Object} options - Prediction options
+     * @param {boolean} options.continuousAlive - If true, return the sigmoid value instead of thresholding it
+     * @returns {Array<Object>} Array of { on: boolean|number, stateVector: Float32Array(hiddenChannels) }
+     */
+    predictBatch(inputs, options = {}) {
+        const outputValues = this.predictBatchRaw(inputs);
+        const batchSize = outputValues.length / this.stateSize;
+        
         // Process outputs
         const results = [];
         for (let i = 0; i < batchSize; i++) {
-            const baseIdx = i * 3;
+            const baseIdx = i * this.stateSize;
             
             // Apply sigmoid to on/off value
             const onValue = 1 / (1 + Math.exp(-outputValues[baseIdx]));
-            const on = onValue > 0.5;
+            const on = options.continuousAlive ? onValue : onValue > 0.5;
             
             // Apply tanh to state vector
-            const stateVector = new Float32Array(2);
-            for (let j = 0; j < 2; j++) {
+            const stateVector = new Float32Array(this.hiddenChannels);
+            for (let j = 0; j < this.hiddenChannels; j++) {
                 stateVector[j] = Math.tanh(outputValues[baseIdx + j + 1]);
             }
             
@@ -182,6 +233,110 @@ class NeuralNetwork {
         return results;
     }
     
+    /**
+     * Get the architecture configuration (enough to create a network with compatible weights)
+     * @returns {Object} { hiddenSize1, hiddenSize2, hiddenChannels, neighborhoodSize }
+     */
+    getConfig() {
+        return {
+            hiddenSize1: this.hiddenSize1,
+            hiddenSize2: this.hiddenSize2,
+            hiddenChannels: this.hiddenChannels,
+            neighborhoodSize: this.neighborhoodSize
+        };
+    }
+    
+    /**
+     * Export the model weights as plain arrays (JSON-serializable)
+     * @returns {Array<Object>} Array of { name, shape, values } in model.getWeights() order
+     */
+    exportWeights() {
+        if (!this.isInitialized) {
+            throw new Error('Neural network not initialized. Call initialize() first.');
+        }
+        
+        return this.model.weights.map(weight => {
+            const tensor = weight.read();
+            return {
+                name: weight.name,
+                shape: tensor.shape.slice(),
+                values: Array.from(tensor.dataSync())
+            };
+        });
+    }
+    
+    /**
+     * Replace the model weights with previously exported weights
+     * @param {Array<Object>} weightData - Array of { shape, values } as returned by exportWeights()
+     */
+    importWeights(weightData) {
+        if (!this.isInitialized) {
+            throw new Error('Neural network not initialized. Call initialize() first.');
+        }
+        
+        const currentWeights = this.model.weights;
+        if (!Array.isArray(weightData) || weightData.length !== currentWeights.length) {
+            throw new Error(`Expected ${currentWeights.length} weight tensors, got ${weightData ? weightData.length : 0}`);
+        }
+        
+        const tensors = weightData.map((data, i) => {
+            const expectedShape = currentWeights[i].shape;
+            if (data.shape.length !== expectedShape.length || data.shape.some((dim, j) => dim !== expectedShape[j])) {
+                throw new Error(`Weight ${currentWeights[i].name} has shape [${data.shape}], expected [${expectedShape}]`);
+            }
+            return tf.tensor(data.values, data.shape);
+        });
+        
+        this.model.setWeights(tensors);
+        tensors.forEach(t => t.dispose()); // setWeights copies values into the model's variables
+    }
+    
+    /**
+     * Stack the weights of several networks with the same architecture for batched evaluation
+     * Each dense layer becomes one kernel of shape [networks, in + 1, out] whose last input row is
+     * the bias (applyStacked appends a constant 1 input); dropout is skipped (inactive at inference)
+     * @param {Array<NeuralNetwork>} networks - Initialized networks with identical architecture
+     * @returns {Array<Object>} Per dense layer: { kernel, activation }
+     */
+    static stackWeights(networks) {
+        const denseLayers = network => network.getModel().layers.filter(layer => layer.getClassName() === 'Dense');
+        const layersPerNetwork = networks.map(denseLayers);
+        
+        return layersPerNetwork[0].map((layer, i) => {
+            const activation = layer.getConfig().activation;
+            if (activation !== 'relu' && activation !== 'linear') {
+                throw new Error(`Batched evaluation does not support ${activation} activation`);
+            }
+            
+            const kernel = tf.tidy(() => tf.stack(layersPerNetwork.map(layers => {
+                const [weights, bias] = layers[i].getWeights();
+                return tf.concat([weights, bias.expandDims(0)], 0);
+            })));
+            return { kernel: kernel, activation: activation };
+        });
+    }
+    
+    /**
+     * Forward pass of many networks at once with weights from stackWeights()
+     * Network i is applied to inputs[i] using batched matrix multiplication
+     * @param {Array<Object>} stackedLayers - Result of NeuralNetwork.stackWeights()
+     * @param {tf.Tensor} inputs - Input tensor [networks, batchSize, inputSize]
+     * @returns {tf.Tensor} Raw (pre-activation) outputs [networks, batchSize, stateSize]
+     */
+    static applyStacked(stackedLayers, inputs) {
+        const [numNetworks, batchSize] = inputs.shape;
+        const ones = tf.ones([numNetworks, batchSize, 1]);
+        
+        let x = inputs;
+        for (const layer of stackedLayers) {
+            x = tf.matMul(tf.concat([x, ones], 2), layer.kernel);
+            if (layer.activation === 'relu') {
+                x = tf.relu(x);
+            }
+        }
+        return x;
+    }
+    
     /**
      * Get the underlying TensorFlow.js model
      * @returns {tf.Sequential} The model
@@ -248,3 +403,6 @@ class NeuralNetwork {
     }
 }
 
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = NeuralNetwork;
+}
@@ -0,0 +1,90 @@
+/**
+ * Random.js - Seedable pseudo-random number generator (mulberry32)
+ * The whole generator state is one 32-bit integer, so it can be saved with getState() and
+ * restored with setState() to resume a run with the exact same random sequence.
+ * TensorFlow.js random ops are made deterministic by passing them a seed from nextSeed().
+ */
+class Random {
+    /**
+     * Create a new generator
+     * @param {number|null} seed - 32-bit integer seed (default: null, picks a random seed)
+     */
+    constructor(seed = null) {
+        this.seed = (seed !== null && seed !== undefined) ? (seed >>> 0) : Random.randomSeed();
+        this.state = this.seed;
+    }
+    
+    /**
+     * Pick a random 32-bit seed using Math.random()
+     * @returns {number} Unsigned 32-bit integer
+     */
+    static randomSeed() {
+        return Math.floor(Math.random() * 0x100000000) >>> 0;
+    }
+    
+    /**
+     * Next uniform random number
+     * @returns {number} Float in [0, 1)
+     */
+    next() {
+        this.state = (this.state + 0x6D2B79F5) >>> 0;
+        let t = this.state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 0x100000000;
+    }
+    
+    /**
+     * Next random integer
+     * @param {number} n - Exclusive upper bound
+     * @returns {number} Integer in [0, n)
+     */
+    nextInt(n) {
+        return Math.floor(this.next() * n);
+    }
+    
+    /**
+     * Next standard normal random number (Box-Muller transform)
+     * @returns {number} Sample from N(0, 1)
+     */
+    nextGaussian() {
+        const u = 1 - this.next(); // (0, 1], avoids log(0)
+        const v = this.next();
+        return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * v);
+    }
+    
+    /**
+     * Next seed for a TensorFlow.js random op (tf.randomNormal, tf.randomUniform, ...)
+     * @returns {number} Unsigned 32-bit integer
+     */
+    nextSeed() {
+        return Math.floor(this.next() * 0x100000000);
+    }
+    
+    /**
+     * Get the generator state (JSON-serializable)
+     * @returns {Object} { seed, state }
+     */
+    getState() {
+        return {
+            seed: this.seed,
+            state: this.state
+        };
+    }
+    
+    /**
+     * Restore a state returned by getState()
+     * @param {Object} state - { seed, state }
+     */
+    setState(state) {
+        if (!state || !Number.isInteger(state.state)) {
+            throw new Error('Invalid random generator state');
+        }
+        this.seed = state.seed >>> 0;
+        this.state = state.state >>> 0;
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = Random;
+}
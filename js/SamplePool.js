@@ -0,0 +1,108 @@
+/**
+ * SamplePool.js - Pool of grid states for sample-pool training (as in the Growing Neural Cellular
+ * Automata paper)
+ * Instead of always growing from the seed, evaluations start from states that earlier evaluations
+ * ended in, so a network is also trained to keep a finished pattern alive and stable beyond genSteps.
+ * Every sampled batch has its worst state (highest loss) replaced by the seed, so growing from the
+ * seed is still part of every batch.
+ * States are flat arrays in Grid.toArray() layout.
+ */
+class SamplePool {
+    /**
+     * Create a pool filled with copies of the seed state
+     * @param {Float32Array} seedState - Grid state to start from and to reseed with (Grid.toArray())
+     * @param {Object} config - Configuration object
+     * @param {number} config.size - Number of states in the pool (default: 64)
+     * @param {Random} config.random - Generator used to draw samples (default: new unseeded Random)
+     */
+    constructor(seedState, config = {}) {
+        if (!seedState) {
+            throw new Error('SamplePool requires a seed state');
+        }
+        
+        this.seedState = Float32Array.from(seedState);
+        this.size = config.size || 64;
+        this.random = config.random || new Random();
+        
+        this.states = [];
+        this.losses = []; // Loss of each state when it was written back (null for seeds)
+        for (let i = 0; i < this.size; i++) {
+            this.states.push(Float32Array.from(this.seedState));
+            this.losses.push(null);
+        }
+    }
+    
+    /**
+     * Draw a batch of distinct states; the one with the highest loss is replaced by the seed
+     * @param {number} count - Batch size (at most the pool size)
+     * @returns {Object} { indices, states } - pool indices and copies of their states
+     */
+    sample(count) {
+        const indices = [];
+        const available = this.states.map((state, i) => i);
+        for (let i = 0; i < Math.min(count, this.size); i++) {
+            indices.push(available.splice(this.random.nextInt(available.length), 1)[0]);
+        }
+        
+        const states = indices.map(index => Float32Array.from(this.states[index]));
+        
+        let worst = -1;
+        indices.forEach((index, i) => {
+            if (this.losses[index] !== null && (worst < 0 || this.losses[index] > this.losses[indices[worst]])) {
+                worst = i;
+            }
+        });
+        if (worst >= 0) {
+            states[worst] = Float32Array.from(this.seedState);
+        }
+        
+        return { indices: indices, states: states };
+    }
+    
+    /**
+     * Write the states a batch ended in back into the pool
+     * @param {Array<number>} indices - Pool indices from sample()
+     * @param {Array<Float32Array>} states - Final state per index
+     * @param {Array<number>} losses - Loss of each final state
+     */
+    update(indices, states, losses) {
+        indices.forEach((index, i) => {
+            this.states[index] = Float32Array.from(states[i]);
+            this.losses[index] = losses[i];
+        });
+    }
+    
+    /**
+     * Serialize the pool (e.g. for a GA checkpoint)
+     * @returns {Object} JSON-serializable pool data
+     */
+    serialize() {
+        return {
+            size: this.size,
+            seedState: Array.from(this.seedState),
+            states: this.states.map(state => Array.from(state)),
+            losses: this.losses.slice()
+        };
+    }
+    
+    /**
+     * Rebuild a pool from serialize() data
+     * @param {Object} data - Pool data
+     * @param {Random} random - Generator used to draw samples
+     * @returns {SamplePool} Restored pool
+     */
+    static deserialize(data, random) {
+        if (!data || !Array.isArray(data.states) || data.states.length !== data.size) {
+            throw new Error('Invalid sample pool data');
+        }
+        
+        const pool = new SamplePool(data.seedState, { size: data.size, random: random });
+        pool.states = data.states.map(state => Float32Array.from(state));
+        pool.losses = data.losses.slice();
+        return pool;
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = SamplePool;
+}
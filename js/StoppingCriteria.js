@@ -0,0 +1,78 @@
+/**
+ * StoppingCriteria.js - Early stopping rules for training runs
+ * Checked once per generation (GA, ES) or iteration (gradient) with the reported loss:
+ * - targetLoss: the loss reached the target (e.g. 0 for no pixel errors)
+ * - patience: the best loss has not improved for this many generations
+ * - timeBudget: the run has taken longer than this many seconds
+ */
+class StoppingCriteria {
+    /**
+     * Create stopping criteria (every rule is disabled by default)
+     * @param {Object} config - Configuration object
+     * @param {number|null} config.targetLoss - Stop once loss <= targetLoss (default: null, disabled)
+     * @param {number} config.patience - Stop after this many generations without a new best loss (default: 0, disabled)
+     * @param {number} config.timeBudget - Stop after this many seconds (default: 0, disabled)
+     */
+    constructor(config = {}) {
+        this.targetLoss = config.targetLoss !== undefined ? config.targetLoss : null;
+        this.patience = config.patience || 0;
+        this.timeBudget = config.timeBudget || 0;
+        
+        this.reset();
+    }
+    
+    /**
+     * Start a new run: clear the best loss and restart the clock
+     */
+    reset() {
+        this.bestLoss = Infinity;
+        this.generationsWithoutImprovement = 0;
+        this.startTime = Date.now();
+    }
+    
+    /**
+     * Record the loss of a finished generation and check the rules
+     * @param {number} loss - Loss of the generation
+     * @returns {string|null} Reason to stop ('targetLoss', 'patience' or 'timeBudget') or null to continue
+     */
+    update(loss) {
+        if (loss < this.bestLoss) {
+            this.bestLoss = loss;
+            this.generationsWithoutImprovement = 0;
+        } else {
+            this.generationsWithoutImprovement++;
+        }
+        
+        if (this.targetLoss !== null && loss <= this.targetLoss) {
+            return 'targetLoss';
+        }
+        if (this.patience > 0 && this.generationsWithoutImprovement >= this.patience) {
+            return 'patience';
+        }
+        if (this.timeBudget > 0 && (Date.now() - this.startTime) / 1000 >= this.timeBudget) {
+            return 'timeBudget';
+        }
+        return null;
+    }
+    
+    /**
+     * Human-readable description of a stop reason
+     * @param {string} reason - Stop reason reported by Trainer
+     * @returns {string} Description
+     */
+    static describe(reason) {
+        return StoppingCriteria.REASONS[reason] || reason;
+    }
+}
+
+StoppingCriteria.REASONS = {
+    targetLoss: 'target loss reached',
+    patience: 'no improvement within patience',
+    timeBudget: 'time budget used up',
+    maxGenerations: 'all generations completed',
+    stopped: 'stopped by user'
+};
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = StoppingCriteria;
+}
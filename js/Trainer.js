@@ -1,6 +1,9 @@
 /**
  * Trainer.js - Training system for Neural Cellular Automata
- * Uses Genetic Algorithm for training instead of backpropagation
+ * Supports three interchangeable modes on the same target:
+ * - 'ga': Genetic Algorithm (evolves a population of networks)
+ * - 'es': Evolution strategies (OpenAI-ES, see EvolutionStrategy.js)
+ * - 'gradient': Backpropagation through time (unrolls updateTensor for genSteps)
  */
 class Trainer {
     /**
@@ -13,6 +16,40 @@ class Trainer {
      * @param {number} config.mutationRate - Mutation rate for GA (default: 0.15)
      * @param {number} config.mutationStrength - Mutation strength for GA (default: 0.02)
      * @param {number} config.eliteCount - Number of elite individuals to preserve (default: 2)
+     * @param {string} config.selection - GA parent selection method (default: 'top2', see GeneticAlgorithm)
+     * @param {number} config.tournamentSize - GA tournament size (default: 3)
+     * @param {number} config.truncationRatio - GA truncation selection ratio (default: 0.5)
+     * @param {number} config.rankPressure - GA rank selection pressure (default: 1.5)
+     * @param {string} config.crossover - GA crossover operator (default: 'uniform', see GeneticAlgorithm)
+     * @param {number} config.blendAlpha - GA blend crossover range extension (default: 0)
+     * @param {string} config.mutationSchedule - GA mutation strength schedule (default: 'fixed')
+     * @param {number} config.annealingRate - GA annealed mutation factor per generation (default: 0.98)
+     * @param {number} config.selfAdaptiveRate - GA self-adaptive mutation learning rate (default: 0.2)
+     * @param {string} config.fitnessMode - GA objective combination: 'weighted' or 'pareto' (default: 'weighted')
+     * @param {number} config.persistenceSteps - GA steps after genSteps the shape must persist (default: 0, off)
+     * @param {number} config.shapeWeight - GA weight of the loss at genSteps (default: 1)
+     * @param {number} config.persistenceWeight - GA weight of the loss over the persistence window (default: 1)
+     * @param {number} config.stabilityWeight - GA weight of the change over the persistence window (default: 1)
+     * @param {string} config.damage - GA regeneration training: 'none', 'disc' or 'rect' (default: 'none')
+     * @param {number} config.damageSize - GA damage radius in cells (default: 1)
+     * @param {number} config.recoverySteps - GA steps after genSteps to regrow from damage (default: 20)
+     * @param {number} config.poolSize - GA and gradient: sample-pool size, evaluations start from pooled grid
+     *        states instead of the seed (default: 0, off; see SamplePool)
+     * @param {number} config.poolBatchSize - GA and gradient: pooled states per generation / iteration (default: 4)
+     * @param {string} config.mode - Training mode: 'ga', 'es' or 'gradient' (default: 'ga')
+     * @param {number} config.esSigma - ES parameter noise standard deviation (default: 0.02)
+     * @param {number} config.esLearningRate - ES Adam step size (default: 0.01)
+     * @param {number|null} config.targetLoss - Stop once the loss is <= targetLoss (default: null, disabled)
+     * @param {number} config.patience - Stop after this many generations without improvement (default: 0, disabled)
+     * @param {number} config.timeBudget - Stop after this many seconds (default: 0, disabled)
+     * @param {number} config.learningRate - Adam learning rate for gradient mode (default: 0.001)
+     * @param {number} config.lossEveryNSteps - Gradient mode: compute loss every N CA steps (default: 4)
+     * @param {number} config.targetWidth - Width of the target shape in cells (default: 5)
+     * @param {number} config.targetHeight - Height of the target shape in cells (default: 5)
+     * @param {number} config.genSteps - Number of CA steps per evaluation / unrolled steps (default: 50)
+     * @param {number|null} config.seed - Run seed: drives the GA, ES noise and stochastic firing so a seed
+     *        and config reproduce the same loss curve (default: null, a random seed per run, see getRunSeed())
+     * @param {boolean} config.batchedEvaluation - GA: evaluate the whole population in one batch (default: true)
      */
     constructor(grid, neuralNetwork, cellularAutomata = null, config = {}) {
         if (!grid || !neuralNetwork) {
@@ -23,33 +60,154 @@ class Trainer {
         this.neuralNetwork = neuralNetwork;
         this.cellularAutomata = cellularAutomata;
         
-        // Create game instance
-        this.game = new Game(grid, cellularAutomata);
+        // Create game instance (owns target size, placement and validation)
+        this.game = new Game(grid, cellularAutomata, {
+            targetWidth: config.targetWidth,
+            targetHeight: config.targetHeight
+        });
         
         // GA parameters
         this.populationSize = config.populationSize || 30;
         this.mutationRate = config.mutationRate || 0.15;
         this.mutationStrength = config.mutationStrength || 0.02;
         this.eliteCount = config.eliteCount || 2;
+        this.selection = config.selection || 'top2';
+        this.tournamentSize = config.tournamentSize || 3;
+        this.truncationRatio = config.truncationRatio || 0.5;
+        this.rankPressure = config.rankPressure || 1.5;
+        this.crossover = config.crossover || 'uniform';
+        this.blendAlpha = config.blendAlpha || 0;
+        this.mutationSchedule = config.mutationSchedule || 'fixed';
+        this.annealingRate = config.annealingRate || 0.98;
+        this.selfAdaptiveRate = config.selfAdaptiveRate !== undefined ? config.selfAdaptiveRate : 0.2;
+        this.fitnessMode = config.fitnessMode || 'weighted';
+        this.persistenceSteps = config.persistenceSteps || 0;
+        this.shapeWeight = config.shapeWeight !== undefined ? config.shapeWeight : 1;
+        this.persistenceWeight = config.persistenceWeight !== undefined ? config.persistenceWeight : 1;
+        this.stabilityWeight = config.stabilityWeight !== undefined ? config.stabilityWeight : 1;
+        this.damage = config.damage || 'none';
+        this.damageSize = config.damageSize || 1;
+        this.recoverySteps = config.recoverySteps !== undefined ? config.recoverySteps : 20;
+        this.poolSize = config.poolSize || 0;
+        this.poolBatchSize = config.poolBatchSize || 4;
+        this.batchedEvaluation = config.batchedEvaluation !== undefined ? config.batchedEvaluation : true;
+        
+        // Training mode and gradient (BPTT) parameters
+        this.mode = config.mode || 'ga';
+        this.learningRate = config.learningRate || 0.001;
+        this.lossEveryNSteps = config.lossEveryNSteps || 4;
+        this.esSigma = config.esSigma || 0.02;
+        this.esLearningRate = config.esLearningRate || 0.01;
+        
+        // Stopping criteria (see StoppingCriteria.js)
+        this.targetLoss = config.targetLoss !== undefined ? config.targetLoss : null;
+        this.patience = config.patience || 0;
+        this.timeBudget = config.timeBudget || 0;
+        this.stoppingCriteria = null;
+        this.stopReason = null; // Why the last run ended
+        this.genSteps = config.genSteps || 50;
+        this.seed = config.seed !== undefined ? config.seed : null;
+        this.runSeed = null; // Seed actually used by the last run
+        this.batchedFallbackReason = null; // Why the last GA run had to stop batched evaluation, if it did
         
         this.isTraining = false;
         this.trainingStep = 0;
         this.lossHistory = [];
         
-        // Initialize genetic algorithm
-        this.geneticAlgorithm = new GeneticAlgorithm(
-            grid,
-            neuralNetwork,
-            cellularAutomata,
-            {
-                populationSize: this.populationSize,
-                mutationRate: this.mutationRate,
-                mutationStrength: this.mutationStrength,
-                eliteCount: this.eliteCount
-            }
+        // Initialize genetic algorithm (the ES trainer is created when 'es' mode first trains)
+        this.geneticAlgorithm = this._createGeneticAlgorithm();
+        this.evolutionStrategy = null;
+    }
+    
+    /**
+     * Get the current GA hyperparameters (see Trainer.GA_PARAMETERS)
+     * @returns {Object} Hyperparameters for GeneticAlgorithm
+     */
+    _gaHyperparameters() {
+        const params = {};
+        for (const key of Trainer.GA_PARAMETERS) {
+            params[key] = this[key];
+        }
+        return params;
+    }
+    
+    /**
+     * Create a genetic algorithm with the current GA parameters and target size
+     * @param {number|null} seed - Seed for the GA's random generator (default: the configured seed)
+     * @returns {GeneticAlgorithm} New genetic algorithm instance
+     */
+    _createGeneticAlgorithm(seed = this.seed) {
+        return new GeneticAlgorithm(
+            this.grid,
+            this.neuralNetwork,
+            this.cellularAutomata,
+            Object.assign(this._gaHyperparameters(), {
+                batchedEvaluation: this.batchedEvaluation,
+                targetWidth: this.game.targetWidth,
+                targetHeight: this.game.targetHeight,
+                seed: seed
+            })
         );
     }
     
+    /**
+     * Pick the seed of a new (not resumed) run and reseed stochastic firing from it
+     * The GA and ES generators are seeded with runSeed itself, the CA's fire mask with a seed derived from it
+     * @returns {number} The run seed
+     */
+    _seedRun() {
+        this.runSeed = this.seed !== null ? this.seed >>> 0 : Random.randomSeed();
+        this.cellularAutomata.setSeed(new Random(this.runSeed).nextSeed());
+        return this.runSeed;
+    }
+    
+    /**
+     * Update training parameters (takes effect on the next call to train())
+     * Accepts the same keys as the constructor config except target size; missing keys are unchanged
+     * @param {Object} config - Any of { mode, genSteps, batchedEvaluation, learningRate, lossEveryNSteps,
+     *        esSigma, esLearningRate, targetLoss, patience, timeBudget, seed } and the GA parameters
+     *        (Trainer.GA_PARAMETERS); targetLoss and seed may be null (disabled / random)
+     */
+    setConfig(config = {}) {
+        if (this.isTraining) {
+            throw new Error('Cannot change training parameters while training');
+        }
+        GeneticAlgorithm.validateHyperparameters(config);
+        
+        const keys = ['mode', 'genSteps', ...Trainer.GA_PARAMETERS, 'batchedEvaluation', 'learningRate',
+            'lossEveryNSteps', 'esSigma', 'esLearningRate', 'targetLoss', 'patience', 'timeBudget', 'seed'];
+        for (const key of keys) {
+            if (config[key] !== undefined) {
+                this[key] = config[key];
+            }
+        }
+        this.lossEveryNSteps = Math.max(1, this.lossEveryNSteps);
+    }
+    
+    /**
+     * Get the training parameters
+     * @returns {Object} { mode, genSteps, GA parameters, batchedEvaluation, learningRate, lossEveryNSteps,
+     *          esSigma, esLearningRate, targetLoss, patience, timeBudget, targetWidth, targetHeight, seed }
+     */
+    getConfig() {
+        return Object.assign({
+            mode: this.mode,
+            genSteps: this.genSteps
+        }, this._gaHyperparameters(), {
+            batchedEvaluation: this.batchedEvaluation,
+            learningRate: this.learningRate,
+            lossEveryNSteps: this.lossEveryNSteps,
+            esSigma: this.esSigma,
+            esLearningRate: this.esLearningRate,
+            targetLoss: this.targetLoss,
+            patience: this.patience,
+            timeBudget: this.timeBudget,
+            targetWidth: this.game.targetWidth,
+            targetHeight: this.game.targetHeight,
+            seed: this.seed
+        });
+    }
+    
     
     /**
      * Reset grid to a single seed cell at the center
@@ -60,8 +218,8 @@ class Trainer {
     
     /**
      * Compute loss between current grid state and target shape
-     * The target shape is 5×5, so we extract the center 5×5 region from the 9×9 grid
-     * @param {Array<Array<boolean>>} targetShape - 5×5 boolean array representing target shape
+     * The target-sized region centered on the grid's center cell is compared to the target
+     * @param {Array<Array<boolean>>} targetShape - Target-sized boolean array representing target shape
      * @returns {number} Loss value (mean squared error)
      */
     computeLoss(targetShape) {
@@ -70,24 +228,21 @@ class Trainer {
     
     /**
      * Compute loss tensor for a grid tensor (differentiable)
-     * Compares center 5×5 region to target shape
+     * Compares the centered target-sized region to target shape
      * NOTE: Do NOT dispose intermediate tensors - they're needed for gradients
-     * @param {tf.Tensor} gridTensor - Grid state tensor [height, width, 3]
-     * @param {tf.Tensor} targetTensor - Target tensor [5, 5]
+     * @param {tf.Tensor} gridTensor - Grid state tensor [height, width, channels]
+     * @param {tf.Tensor} targetTensor - Target tensor [targetHeight, targetWidth]
      * @returns {tf.Scalar} Loss tensor
      */
     _computeLossTensor(gridTensor, targetTensor) {
-        // Extract center 5×5 region from 9×9 grid (centered at pixel 4,4)
-        const centerX = Math.floor(this.grid.width / 2) - 2;
-        const centerY = Math.floor(this.grid.height / 2) - 2;
+        const [targetHeight, targetWidth] = targetTensor.shape;
+        const origin = this.game.getTargetOrigin();
         
-        // Extract center 5×5 region from grid tensor
+        // Extract the centered target-sized region from grid tensor
         // Get only the on/off channel (channel 0)
-        const centerRegion = gridTensor.slice([centerY, centerX, 0], [5, 5, 1]);
-        const centerOnOff = centerRegion.reshape([5, 5]);
-        
-        // Apply sigmoid to get probabilities (in case values aren't already in [0,1])
-        const probabilities = tf.sigmoid(centerOnOff);
+        const centerRegion = gridTensor.slice([origin.y, origin.x, 0], [targetHeight, targetWidth, 1]);
+        // updateTensor() already applies sigmoid to the on/off channel, so these are probabilities
+        const probabilities = centerRegion.reshape([targetHeight, targetWidth]);
         
         // Use binary cross-entropy instead of MSE for better gradient flow
         // Clip probabilities to avoid log(0)
@@ -113,70 +268,120 @@ class Trainer {
     }
     
     /**
-     * Train the neural network using Genetic Algorithm
+     * Train the neural network using the configured mode (Genetic Algorithm, ES or gradient/BPTT)
+     * All parameters come from the config (see constructor and setConfig())
+     * Training ends after numGenerations, when a stopping rule fires (targetLoss, patience, timeBudget)
+     * or when stopped; the reason is kept in stopReason (see getStopReason())
      * 
-     * @param {Array<Array<boolean>>} targetShape - 5×5 boolean array
-     * @param {number} numGenerations - Number of generations to evolve
-     * @param {Function} progressCallback - Optional callback (generation, loss, shouldContinue)
+     * @param {Array<Array<boolean>>|Array<Array<Array<boolean>>>} targetShape - Target-sized boolean array,
+     *        or an array of them to train one network on several targets: target i is grown from a seed whose
+     *        hidden state encodes i (see Game.resetToSeed) and the loss is averaged over targets
+     * @param {number} numGenerations - Number of generations (GA, ES) or gradient iterations to run
+     * @param {Function} progressCallback - Optional callback (generation, loss, shouldContinue, stopReason);
+     *        stopReason is null until the last generation (see _createStoppingCallback), return false to stop
+     * @param {Object} options - Training options
+     * @param {boolean} options.resume - GA mode: continue from the current population (e.g. a loaded
+     *        checkpoint) with the current GA parameters instead of starting a new run (default: false)
      * @returns {Promise<Array<number>>} Array of loss values
      */
-    async train(targetShape, numGenerations = 100, progressCallback = null) {
+    async train(targetShape, numGenerations = 100, progressCallback = null, options = {}) {
         if (!this.neuralNetwork.isInitialized) {
             throw new Error('Neural network not initialized. Call neuralNetwork.initialize() first.');
         }
         
-        if (!targetShape || targetShape.length !== 5 || targetShape[0].length !== 5) {
-            throw new Error('Target shape must be a 5×5 boolean array');
-        }
+        const targets = Game.toTargetList(targetShape);
+        this.game.validateTargets(targets);
         
         if (!this.cellularAutomata) {
             throw new Error('CellularAutomata instance required for training');
         }
         
-        // Get genSteps from UI
-        const genStepsDropdown = document.getElementById('genSteps');
-        const genSteps = genStepsDropdown ? parseInt(genStepsDropdown.value, 10) : 50;
+        const genSteps = this.genSteps;
         
-        // Update GA parameters from UI if available
-        const populationInput = document.getElementById('populationSize');
-        const mutationRateInput = document.getElementById('mutationRate');
-        const mutationStrengthInput = document.getElementById('mutationStrength');
-        const eliteCountInput = document.getElementById('eliteCount');
+        this.stoppingCriteria = new StoppingCriteria({
+            targetLoss: this.targetLoss,
+            patience: this.patience,
+            timeBudget: this.timeBudget
+        });
+        this.stopReason = null;
+        this.batchedFallbackReason = null;
+        const callback = this._createStoppingCallback(numGenerations, progressCallback);
         
-        if (populationInput) {
-            this.populationSize = parseInt(populationInput.value, 10);
-        }
-        if (mutationRateInput) {
-            this.mutationRate = parseFloat(mutationRateInput.value);
-        }
-        if (mutationStrengthInput) {
-            this.mutationStrength = parseFloat(mutationStrengthInput.value);
-        }
-        if (eliteCountInput) {
-            this.eliteCount = parseInt(eliteCountInput.value, 10);
+        let losses;
+        if (this.mode === 'gradient') {
+            losses = await this._trainGradient(targets, numGenerations, genSteps, callback);
+        } else if (this.mode === 'es') {
+            losses = await this._trainEvolutionStrategy(targets, numGenerations, genSteps, callback, options);
+        } else {
+            losses = await this._trainGeneticAlgorithm(targets, numGenerations, genSteps, callback, options);
         }
         
-        // Recreate genetic algorithm with updated parameters
-        if (this.geneticAlgorithm) {
-            this.geneticAlgorithm.dispose();
+        // Runs that ended without a stopping rule firing were stopped from outside (stopTraining())
+        if (!this.stopReason) {
+            this.stopReason = losses.length >= numGenerations ? 'maxGenerations' : 'stopped';
         }
-        this.geneticAlgorithm = new GeneticAlgorithm(
-            this.grid,
-            this.neuralNetwork,
-            this.cellularAutomata,
-            {
-                populationSize: this.populationSize,
-                mutationRate: this.mutationRate,
-                mutationStrength: this.mutationStrength,
-                eliteCount: this.eliteCount
+        console.log(`Training ended: ${StoppingCriteria.describe(this.stopReason)}`);
+        return losses;
+    }
+    
+    /**
+     * Wrap a progress callback with the stopping criteria
+     * The wrapped callback checks the rules after every generation, records the reason in stopReason
+     * and calls progressCallback(generation, loss, shouldContinue, stopReason), where stopReason is
+     * null while training continues, or 'targetLoss', 'patience', 'timeBudget' or 'maxGenerations'
+     * on the last generation.
+     * @param {number} numGenerations - Generations / iterations of this run
+     * @param {Function} progressCallback - User callback (may be null); returning false stops training
+     * @returns {Function} Callback for the mode's training loop
+     */
+    _createStoppingCallback(numGenerations, progressCallback) {
+        let runGenerations = 0;
+        
+        return (generation, loss) => {
+            runGenerations++;
+            let reason = this.stoppingCriteria.update(loss);
+            if (!reason && runGenerations >= numGenerations) {
+                reason = 'maxGenerations';
             }
-        );
+            this.stopReason = reason;
+            
+            if (progressCallback && progressCallback(generation, loss, !reason, reason) === false) {
+                this.stopReason = reason || 'stopped';
+                return false;
+            }
+            return !reason;
+        };
+    }
+    
+    /**
+     * Train with the genetic algorithm
+     * @param {Array<Array<Array<boolean>>>} targets - Target shapes
+     * @param {number} numGenerations - Number of generations
+     * @param {number} genSteps - Number of CA steps per evaluation
+     * @param {Function} progressCallback - Optional callback (generation, loss, shouldContinue)
+     * @param {Object} options - Training options
+     * @param {boolean} options.resume - Continue from the current population
+     * @returns {Promise<Array<number>>} Array of best loss values per generation
+     */
+    async _trainGeneticAlgorithm(targets, numGenerations, genSteps, progressCallback = null, options = {}) {
+        const resume = options.resume && this.canResume();
+        if (resume) {
+            // Keep the evolved population, only apply the (possibly adjusted) GA parameters
+            this.geneticAlgorithm.setHyperparameters(this._gaHyperparameters());
+            this.geneticAlgorithm.batchedEvaluation = this.batchedEvaluation;
+        } else {
+            // Recreate genetic algorithm with updated parameters
+            if (this.geneticAlgorithm) {
+                this.geneticAlgorithm.dispose();
+            }
+            this.geneticAlgorithm = this._createGeneticAlgorithm(this._seedRun());
+        }
         
         this.isTraining = true;
         
         // Train using genetic algorithm
         const losses = await this.geneticAlgorithm.train(
-            targetShape,
+            targets,
             numGenerations,
             genSteps,
             (generation, bestLoss, shouldContinue) => {
@@ -200,9 +405,12 @@ class Trainer {
                     return progressCallback(generation, bestLoss, shouldContinue);
                 }
                 return shouldContinue;
-            }
+            },
+            { resume: resume }
         );
         
+        this.batchedFallbackReason = this.geneticAlgorithm.batchedFallbackReason;
+        
         // Ensure main network is updated with best performer (in case training completed)
         const bestNetwork = this.geneticAlgorithm.getBestNetwork();
         if (bestNetwork) {
@@ -218,6 +426,237 @@ class Trainer {
         return losses;
     }
     
+    /**
+     * Train with evolution strategies, starting from the main network's current weights
+     * The main network is set to the ES center after every generation.
+     * @param {Array<Array<Array<boolean>>>} targets - Target shapes
+     * @param {number} numGenerations - Number of ES updates
+     * @param {number} genSteps - Number of CA steps per evaluation
+     * @param {Function} progressCallback - Optional callback (generation, loss, shouldContinue)
+     * @param {Object} options - Training options
+     * @param {boolean} options.resume - Continue the previous ES run (center and Adam state) if there is one
+     * @returns {Promise<Array<number>>} Array of loss values per generation
+     */
+    async _trainEvolutionStrategy(targets, numGenerations, genSteps, progressCallback = null, options = {}) {
+        const resume = options.resume && this.evolutionStrategy && this.evolutionStrategy.center !== null;
+        if (resume) {
+            this.evolutionStrategy.populationSize = this.populationSize;
+            this.evolutionStrategy.sigma = this.esSigma;
+            this.evolutionStrategy.learningRate = this.esLearningRate;
+        } else {
+            if (this.evolutionStrategy) {
+                this.evolutionStrategy.dispose();
+            }
+            this.evolutionStrategy = new EvolutionStrategy(this.grid, this.neuralNetwork, this.cellularAutomata, {
+                populationSize: this.populationSize,
+                sigma: this.esSigma,
+                learningRate: this.esLearningRate,
+                targetWidth: this.game.targetWidth,
+                targetHeight: this.game.targetHeight,
+                seed: this._seedRun()
+            });
+        }
+        
+        const copyCenter = () => {
+            this.neuralNetwork.importWeights(this.evolutionStrategy.getBestNetwork().exportWeights());
+        };
+        
+        this.isTraining = true;
+        try {
+            return await this.evolutionStrategy.train(targets, numGenerations, genSteps, (generation, loss, shouldContinue) => {
+                this.trainingStep = generation;
+                this.lossHistory.push(loss);
+                copyCenter();
+                
+                if (progressCallback) {
+                    return progressCallback(generation, loss, shouldContinue);
+                }
+                return shouldContinue;
+            }, { resume: resume });
+        } finally {
+            this.isTraining = false;
+        }
+    }
+    
+    /**
+     * Train the neural network with backpropagation through time
+     * Each iteration unrolls updateTensor() from the seed for genSteps, computes the loss at
+     * every lossEveryNSteps-th step (and always at the final step), averages the step losses
+     * and applies one optimizer update to the shared network.
+     * With several targets every iteration unrolls each target from its own seed (see Game.resetToSeed)
+     * and averages the losses.
+     * With poolSize > 0 each iteration instead unrolls from poolBatchSize states of a SamplePool per target
+     * and writes the states they end in back into the pool, ranked by their thresholded pixel loss.
+     * The reported loss is the same thresholded pixel loss the GA reports, so modes are comparable.
+     * @param {Array<Array<Array<boolean>>>} targets - Target shapes
+     * @param {number} numIterations - Number of gradient iterations
+     * @param {number} genSteps - Number of CA steps to unroll per iteration
+     * @param {Function} progressCallback - Optional callback (iteration, loss, shouldContinue)
+     * @returns {Promise<Array<number>>} Array of loss values per iteration
+     */
+    async _trainGradient(targets, numIterations, genSteps, progressCallback = null) {
+        const model = this.neuralNetwork.getModel();
+        const trainableVars = model.trainableWeights.map(w => w.read());
+        const optimizer = tf.train.adam(this.learningRate);
+        const runSeed = this._seedRun();
+        
+        // Seed states and targets stay constant across iterations
+        const seedTensors = targets.map((target, t) => {
+            this.game.resetToSeed(t);
+            return this.grid.toTensor();
+        });
+        const targetTensors = targets.map(targetShape => tf.tensor2d(
+            targetShape.map(row => row.map(v => (v ? 1.0 : 0.0))),
+            [this.game.targetHeight, this.game.targetWidth]
+        ));
+        
+        let samplePools = null;
+        if (this.poolSize > 0) {
+            const seeds = new Random(runSeed);
+            seeds.nextSeed(); // The first derived seed drives the fire mask (see _seedRun)
+            const poolRandom = new Random(seeds.nextSeed());
+            samplePools = targets.map((target, t) =>
+                new SamplePool(this.game.getSeedState(t), { size: this.poolSize, random: poolRandom }));
+        }
+        
+        this.isTraining = true;
+        const losses = [];
+        
+        try {
+            for (let iter = 0; iter < numIterations; iter++) {
+                if (!this.isTraining) break;
+                
+                // One run per target, or per pooled state of each target
+                // Pooled start states and kept final states are disposed even if the update throws
+                const runs = [];
+                let trainingLoss;
+                try {
+                    targets.forEach((target, t) => {
+                        if (!samplePools) {
+                            runs.push({ target: t, start: seedTensors[t] });
+                            return;
+                        }
+                        const poolBatch = samplePools[t].sample(this.poolBatchSize);
+                        poolBatch.states.forEach((state, i) => runs.push({
+                            target: t,
+                            start: tf.tensor3d(state, seedTensors[t].shape),
+                            poolIndex: poolBatch.indices[i]
+                        }));
+                    });
+                    
+                    // Forward pass through all CA steps, then backpropagate through time
+                    const costTensor = optimizer.minimize(() => {
+                        const stepLosses = [];
+                        for (const run of runs) {
+                            let state = run.start;
+                            for (let step = 1; step <= genSteps; step++) {
+                                state = this.cellularAutomata.updateTensor(state);
+                                if (step % this.lossEveryNSteps === 0 || step === genSteps) {
+                                    stepLosses.push(this._computeLossTensor(state, targetTensors[run.target]));
+                                }
+                            }
+                            if (samplePools) {
+                                run.final = tf.keep(state);
+                            }
+                        }
+                        return tf.addN(stepLosses).div(stepLosses.length);
+                    }, true, trainableVars);
+                    
+                    trainingLoss = costTensor.dataSync()[0];
+                    costTensor.dispose();
+                    
+                    // Pool states are ranked by the thresholded pixel loss, like the GA's pools
+                    if (samplePools) {
+                        for (const run of runs) {
+                            const finalState = run.final.dataSync();
+                            this.grid.fromArray(finalState);
+                            const poolLoss = this.game.calculateError(targets[run.target]);
+                            samplePools[run.target].update([run.poolIndex], [finalState], [poolLoss]);
+                        }
+                    }
+                } finally {
+                    for (const run of runs) {
+                        if (run.start !== seedTensors[run.target]) {
+                            run.start.dispose();
+                        }
+                        if (run.final) {
+                            run.final.dispose();
+                        }
+                    }
+                }
+                
+                // Run CA forward again (non-differentiable) to get the comparable pixel loss
+                let loss = 0;
+                targets.forEach((targetShape, t) => {
+                    this.game.resetToSeed(t);
+                    loss += this.game.run(genSteps, targetShape);
+                });
+                loss /= targets.length;
+                
+                this.trainingStep = iter + 1;
+                this.lossHistory.push(loss);
+                losses.push(loss);
+                console.log(`Iteration ${iter + 1}/${numIterations}: BPTT loss = ${trainingLoss.toFixed(6)}, pixel loss = ${loss.toFixed(6)}`);
+                
+                if (progressCallback) {
+                    const shouldContinue = progressCallback(iter + 1, loss, true) !== false;
+                    if (!shouldContinue) break;
+                }
+                
+                // Small delay for UI updates
+                await new Promise(resolve => setTimeout(resolve, 10));
+            }
+        } finally {
+            seedTensors.forEach(t => t.dispose());
+            targetTensors.forEach(t => t.dispose());
+            optimizer.dispose();
+            this.isTraining = false;
+        }
+        
+        return losses;
+    }
+    
+    /**
+     * Check whether a GA run can be resumed (a population exists from training or a checkpoint)
+     * @returns {boolean} True if the genetic algorithm has a population
+     */
+    canResume() {
+        return !!this.geneticAlgorithm && this.geneticAlgorithm.population.length > 0;
+    }
+    
+    /**
+     * Save the genetic algorithm state (population, fitness, generation, parameters, RNG state)
+     * @returns {Object} JSON-serializable checkpoint (see GeneticAlgorithm.serializeCheckpoint)
+     */
+    saveCheckpoint() {
+        if (!this.geneticAlgorithm) {
+            throw new Error('No genetic algorithm to checkpoint');
+        }
+        return this.geneticAlgorithm.serializeCheckpoint();
+    }
+    
+    /**
+     * Load a genetic algorithm checkpoint so the run can be resumed with train(..., { resume: true })
+     * The main network is set to the best individual of the checkpoint
+     * @param {Object} checkpoint - Checkpoint from saveCheckpoint()
+     */
+    loadCheckpoint(checkpoint) {
+        if (this.isTraining) {
+            throw new Error('Cannot load a checkpoint while training');
+        }
+        
+        this.geneticAlgorithm.loadCheckpoint(checkpoint);
+        
+        Object.assign(this, this.geneticAlgorithm.getHyperparameters());
+        this.runSeed = this.geneticAlgorithm.random.seed;
+        this.lossHistory = this.geneticAlgorithm.lossHistory.slice();
+        this.trainingStep = this.geneticAlgorithm.generation;
+        
+        const bestNetwork = this.geneticAlgorithm.getBestNetwork();
+        const clonedWeights = bestNetwork.getModel().getWeights().map(w => w.clone());
+        this.neuralNetwork.getModel().setWeights(clonedWeights);
+        clonedWeights.forEach(w => w.dispose());
+    }
     
     /**
      * Stop training (if currently training)
@@ -227,6 +666,9 @@ class Trainer {
         if (this.geneticAlgorithm) {
             this.geneticAlgorithm.stopTraining();
         }
+        if (this.evolutionStrategy) {
+            this.evolutionStrategy.stopTraining();
+        }
     }
     
     /**
@@ -237,6 +679,32 @@ class Trainer {
         return this.isTraining;
     }
     
+    /**
+     * Get the seed of the last (or loaded) run, to record with its results
+     * Training again with setConfig({ seed }) and the same config and starting network reproduces the run
+     * @returns {number|null} Run seed (null before the first run)
+     */
+    getRunSeed() {
+        return this.runSeed;
+    }
+    
+    /**
+     * Get the reason the last training run ended
+     * @returns {string|null} 'targetLoss', 'patience', 'timeBudget', 'maxGenerations' or 'stopped'
+     *          (null before the first run), see StoppingCriteria.describe()
+     */
+    getStopReason() {
+        return this.stopReason;
+    }
+    
+    /**
+     * Get why the last GA run fell back from batched to one-network-at-a-time evaluation
+     * @returns {string|null} Error message of the failed batched evaluation, or null if it did not fall back
+     */
+    getBatchedFallbackReason() {
+        return this.batchedFallbackReason;
+    }
+    
     /**
      * Get loss history
      * @returns {Array<number>} Array of loss values from training
@@ -263,6 +731,21 @@ class Trainer {
             this.geneticAlgorithm.dispose();
             this.geneticAlgorithm = null;
         }
+        if (this.evolutionStrategy) {
+            this.evolutionStrategy.dispose();
+            this.evolutionStrategy = null;
+        }
         this.lossHistory = [];
     }
 }
+
+// Keys of getConfig() / setConfig() that are passed to the genetic algorithm as hyperparameters
+Trainer.GA_PARAMETERS = ['populationSize', 'mutationRate', 'mutationStrength', 'eliteCount',
+    'selection', 'tournamentSize', 'truncationRatio', 'rankPressure',
+    'crossover', 'blendAlpha', 'mutationSchedule', 'annealingRate', 'selfAdaptiveRate',
+    'fitnessMode', 'persistenceSteps', 'shapeWeight', 'persistenceWeight', 'stabilityWeight',
+    'damage', 'damageSize', 'recoverySteps', 'poolSize', 'poolBatchSize'];
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = Trainer;
+}
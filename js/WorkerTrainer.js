@@ -0,0 +1,227 @@
+/**
+ * WorkerTrainer.js - Runs a Trainer's training loop in a Web Worker (js/trainingWorker.js)
+ * The page stays responsive while the worker evaluates generations. The worker trains a copy of the
+ * network; every progress message carries the current best weights, which are copied into the
+ * main-thread network so it can be rendered while training continues. Reported losses are added to the
+ * main-thread trainer's loss history in every mode.
+ * Only GA runs send their state back (as a checkpoint); ES optimizer state stays in the worker, so an
+ * ES run trained here cannot be resumed and the next ES run starts from the network's weights.
+ *
+ * Message protocol:
+ *   main → worker: { type: 'start', model, trainerConfig, targetShape, numGenerations, checkpoint }
+ *                  { type: 'stop' }
+ *   worker → main: { type: 'ready' } once the scripts are loaded
+ *                  { type: 'progress', generation, loss, stopReason, weights }
+ *                  { type: 'done', losses, stopReason, runSeed, batchedFallbackReason, weights, checkpoint }
+ *                  { type: 'error', message }
+ */
+class WorkerTrainer {
+    /**
+     * Create a worker-backed trainer (the worker is started immediately)
+     * @param {string} workerUrl - URL of the worker script (default: 'js/trainingWorker.js')
+     */
+    constructor(workerUrl = 'js/trainingWorker.js') {
+        this.worker = new Worker(workerUrl);
+        this.worker.onmessage = (event) => {
+            try {
+                this._handleMessage(event.data);
+            } catch (error) {
+                this.stopTraining();
+                this._fail(error);
+            }
+        };
+        this.worker.onerror = (event) => {
+            event.preventDefault();
+            this._fail(new Error(event.message || 'Training worker failed'));
+        };
+        
+        this.isReady = false; // True once the worker has loaded its scripts
+        this.isTraining = false;
+        this.trainer = null; // Main-thread trainer of the current run
+        this.progressCallback = null;
+        this.pending = null; // { resolve, reject } of the current train() call
+        this.lossHistory = [];
+    }
+    
+    /**
+     * Check whether Web Workers are available in this environment
+     * @returns {boolean} True if workers can be created
+     */
+    static isSupported() {
+        return typeof Worker !== 'undefined';
+    }
+    
+    /**
+     * Train in the worker using a main-thread trainer's network, CA configuration and training parameters
+     * The trainer's network receives the best weights after every generation and when training ends;
+     * GA runs also load the final population back into the trainer so it can be checkpointed or resumed;
+     * ES runs cannot be resumed (see above), so the trainer's previous ES state is discarded.
+     * @param {Trainer} trainer - Main-thread trainer (provides network, grid, CA, target size and config)
+     * @param {Array<Array<boolean>>|Array<Array<Array<boolean>>>} targetShape - Target-sized boolean array,
+     *        or an array of them for multi-target training (see Trainer.train)
+     * @param {number} numGenerations - Number of generations (GA) or gradient iterations to run
+     * @param {Function} progressCallback - Optional callback (generation, loss, shouldContinue, stopReason);
+     *        return false to stop (see Trainer.train)
+     * @param {Object} options - Training options
+     * @param {boolean} options.resume - GA mode: continue from the trainer's current population (default: false)
+     * @returns {Promise<Array<number>>} Array of loss values
+     */
+    train(trainer, targetShape, numGenerations = 100, progressCallback = null, options = {}) {
+        if (this.isTraining) {
+            return Promise.reject(new Error('Training already in progress'));
+        }
+        
+        trainer.game.validateTargets(Game.toTargetList(targetShape));
+        
+        const config = trainer.getConfig();
+        const model = ModelStorage.serialize({
+            neuralNetwork: trainer.neuralNetwork,
+            cellularAutomata: trainer.cellularAutomata,
+            game: trainer.game,
+            targetShape: targetShape,
+            genSteps: config.genSteps
+        });
+        const checkpoint = options.resume && config.mode === 'ga' && trainer.canResume()
+            ? trainer.saveCheckpoint()
+            : null;
+        
+        this.trainer = trainer;
+        this.progressCallback = progressCallback;
+        this.isTraining = true;
+        
+        return new Promise((resolve, reject) => {
+            this.pending = { resolve, reject };
+            this.worker.postMessage({
+                type: 'start',
+                model: model,
+                trainerConfig: config,
+                targetShape: targetShape,
+                numGenerations: numGenerations,
+                checkpoint: checkpoint
+            });
+        });
+    }
+    
+    /**
+     * Internal method: handle a message from the worker
+     * @param {Object} message - Message data (see protocol above)
+     */
+    _handleMessage(message) {
+        switch (message.type) {
+            case 'ready':
+                this.isReady = true;
+                break;
+            
+            case 'progress': {
+                if (!this.isTraining) {
+                    break;
+                }
+                this.trainer.neuralNetwork.importWeights(message.weights);
+                this.trainer.trainingStep = message.generation;
+                this.trainer.lossHistory.push(message.loss);
+                this.lossHistory.push(message.loss);
+                
+                const shouldContinue = !message.stopReason;
+                if (this.progressCallback && this.progressCallback(message.generation, message.loss, shouldContinue, message.stopReason) === false) {
+                    this.stopTraining();
+                }
+                break;
+            }
+            
+            case 'done': {
+                if (message.checkpoint) {
+                    // Keep the evolved population on the main thread (sets the network to the best individual);
+                    // the loss history already has this run's losses from the progress messages
+                    const lossHistory = this.trainer.lossHistory;
+                    this.trainer.loadCheckpoint(message.checkpoint);
+                    this.trainer.lossHistory = lossHistory;
+                } else {
+                    this.trainer.neuralNetwork.importWeights(message.weights);
+                }
+                if (this.trainer.mode === 'es' && this.trainer.evolutionStrategy) {
+                    // The ES state of this run stayed in the worker; an older one must not be resumed instead
+                    this.trainer.evolutionStrategy.dispose();
+                    this.trainer.evolutionStrategy = null;
+                }
+                this.trainer.stopReason = message.stopReason;
+                this.trainer.runSeed = message.runSeed;
+                this.trainer.batchedFallbackReason = message.batchedFallbackReason;
+                
+                const pending = this.pending;
+                this._finish();
+                if (pending) {
+                    pending.resolve(message.losses);
+                }
+                break;
+            }
+            
+            case 'error':
+                this._fail(new Error(message.message));
+                break;
+            
+            default:
+                console.warn('Unknown message from training worker:', message.type);
+        }
+    }
+    
+    /**
+     * Internal method: end the current run with an error
+     * @param {Error} error - The error
+     */
+    _fail(error) {
+        const pending = this.pending;
+        this._finish();
+        if (pending) {
+            pending.reject(error);
+        } else {
+            console.error('Training worker error:', error);
+        }
+    }
+    
+    /**
+     * Internal method: clear the state of the current run
+     */
+    _finish() {
+        this.isTraining = false;
+        this.trainer = null;
+        this.progressCallback = null;
+        this.pending = null;
+    }
+    
+    /**
+     * Ask the worker to stop after the current generation (train() resolves when it has stopped)
+     */
+    stopTraining() {
+        if (this.isTraining) {
+            this.worker.postMessage({ type: 'stop' });
+        }
+    }
+    
+    /**
+     * Get current training status
+     * @returns {boolean} True if the worker is training
+     */
+    getIsTraining() {
+        return this.isTraining;
+    }
+    
+    /**
+     * Get loss history
+     * @returns {Array<number>} Array of loss values reported by the worker
+     */
+    getLossHistory() {
+        return [...this.lossHistory];
+    }
+    
+    /**
+     * Terminate the worker (a pending train() call is rejected)
+     */
+    dispose() {
+        this.worker.terminate();
+        if (this.pending) {
+            this._fail(new Error('Training worker terminated'));
+        } else {
+            this._finish();
+        }
+    }
+}
@@ -12,7 +12,9 @@ let testCanvas;
 let testCtx;
 let targetCanvas;
 let targetCtx;
-let targetShape; // 10×10 boolean array for target shape
+let targets = []; // Target shapes; the network grows target i from a seed that encodes i (see Game.resetToSeed)
+let currentTarget = 0; // Index of the target being edited, seeded and displayed
+let targetShape; // targetHeight×targetWidth boolean array for target shape (targets[currentTarget])
 let isDragging = false; // Track if mouse is being dragged on test canvas
 let lastCellX = -1; // Track last modified cell to avoid duplicate toggles
 let lastCellY = -1;
@@ -21,7 +23,9 @@ let trainButton;
 let clearButton;
 let genStepsDropdown;
 let continuousCheckbox;
+let tensorModeCheckbox;
 let lossValueElement;
+let workerTrainer = null; // Background training worker (created on first use)
 
 /**
  * Initialize the application
@@ -43,89 +47,283 @@ function init() {
     targetCtx.imageSmoothingEnabled = false;
     testCtx.imageSmoothingEnabled = false;
     
-    // Initialize grid (9×9 for test canvas - symmetric about center pixel)
-    grid = new Grid(9, 9);
-    
-    // Place a single seed cell at the center of the grid
-    const centerX = Math.floor(grid.width / 2);
-    const centerY = Math.floor(grid.height / 2);
-    grid.setCell(centerX, centerY, true);
-    
-    // Initialize neural network
-    neuralNetwork = new NeuralNetwork({
-        hiddenSize1: 16,
-        hiddenSize2: 16
-    });
+    // Get button references
+    runButton = document.getElementById('runBtn');
+    trainButton = document.getElementById('trainBtn');
+    clearButton = document.getElementById('clearBtn');
+    genStepsDropdown = document.getElementById('genSteps');
+    continuousCheckbox = document.getElementById('continuousCheckbox');
+    tensorModeCheckbox = document.getElementById('tensorModeCheckbox');
+    lossValueElement = document.getElementById('lossValue');
     
-    // Initialize neural network model
+    // Build network, grid, CA, game and trainer from the configuration inputs
+    // (default 9×9 grid, 5×5 target, 2 hidden channels)
     try {
-        neuralNetwork.initialize();
-        console.log('Neural network initialized');
+        buildSimulation(readGridConfigInputs());
     } catch (error) {
         console.error('Failed to initialize neural network:', error);
         alert('Failed to initialize neural network. Please check that TensorFlow.js is loaded.');
         return;
     }
     
+    // Set up target canvas click handler and target list controls
+    targetCanvas.addEventListener('click', handleTargetCanvasClick);
+    document.getElementById('targetSelect').addEventListener('change', handleTargetSelect);
+    document.getElementById('addTargetBtn').addEventListener('click', handleAddTarget);
+    document.getElementById('removeTargetBtn').addEventListener('click', handleRemoveTarget);
+    
+    // Set up test canvas click and drag handlers
+    testCanvas.addEventListener('mousedown', handleTestCanvasMouseDown);
+    testCanvas.addEventListener('mousemove', handleTestCanvasMouseMove);
+    testCanvas.addEventListener('mouseup', handleTestCanvasMouseUp);
+    testCanvas.addEventListener('mouseleave', handleTestCanvasMouseUp); // Stop dragging if mouse leaves canvas
+    
+    // Set up button handlers
+    document.getElementById('trainBtn').addEventListener('click', handleTrain);
+    runButton.addEventListener('click', handleRun);
+    clearButton.addEventListener('click', handleClear);
+    document.getElementById('applyConfigBtn').addEventListener('click', handleApplyConfig);
+    if (tensorModeCheckbox) {
+        tensorModeCheckbox.addEventListener('change', handleTensorModeChange);
+        handleTensorModeChange();
+    }
+    document.getElementById('updateRule').addEventListener('change', handleUpdateRuleChange);
+    document.getElementById('fireRate').addEventListener('change', handleUpdateRuleChange);
+    document.getElementById('aliveMaskingCheckbox').addEventListener('change', handleUpdateRuleChange);
+    document.getElementById('aliveThreshold').addEventListener('change', handleUpdateRuleChange);
+    
+    // Set up model save/load handlers
+    document.getElementById('downloadModelBtn').addEventListener('click', handleDownloadModel);
+    document.getElementById('loadModelFileBtn').addEventListener('click', () => {
+        document.getElementById('modelFileInput').click();
+    });
+    document.getElementById('modelFileInput').addEventListener('change', handleModelFileSelected);
+    document.getElementById('saveSlotBtn').addEventListener('click', handleSaveSlot);
+    document.getElementById('loadSlotBtn').addEventListener('click', handleLoadSlot);
+    document.getElementById('deleteSlotBtn').addEventListener('click', handleDeleteSlot);
+    refreshSlotList();
+    
+    // Set up GA checkpoint handlers
+    document.getElementById('saveCheckpointBtn').addEventListener('click', handleSaveCheckpoint);
+    document.getElementById('loadCheckpointBtn').addEventListener('click', () => {
+        document.getElementById('checkpointFileInput').click();
+    });
+    document.getElementById('checkpointFileInput').addEventListener('change', handleCheckpointFileSelected);
+    
+    console.log('Initialization complete');
+}
+
+/**
+ * Parse a custom neighborhood text such as "0,-1 0,1 -1,0 1,0 0,0" into [dx, dy] offsets
+ * @param {string} text - Whitespace or semicolon separated "dx,dy" pairs
+ * @returns {Array<Array<number>>} Array of [dx, dy] offsets
+ */
+function parseNeighborhoodOffsets(text) {
+    return text.trim().split(/[\s;]+/).filter(pair => pair.length > 0).map(pair => {
+        const parts = pair.split(',').map(value => Number(value));
+        if (parts.length !== 2 || !parts.every(Number.isInteger)) {
+            throw new Error(`Invalid neighborhood offset "${pair}" (expected "dx,dy")`);
+        }
+        return parts;
+    });
+}
+
+/**
+ * Read grid configuration inputs (sizes, hidden channels, neighborhood) from the UI
+ * @returns {Object} { gridWidth, gridHeight, targetWidth, targetHeight, hiddenChannels, neighborhood, neighborhoodRadius, boundary, continuousAlive }
+ */
+function readGridConfigInputs() {
+    const readInt = (id, fallback, min = 1) => {
+        const input = document.getElementById(id);
+        const value = input ? parseInt(input.value, 10) : NaN;
+        return Number.isInteger(value) && value >= min ? value : fallback;
+    };
+    
+    const neighborhoodSelect = document.getElementById('neighborhood');
+    const boundarySelect = document.getElementById('boundary');
+    const continuousAliveCheckbox = document.getElementById('continuousAliveCheckbox');
+    
+    return {
+        gridWidth: readInt('gridWidth', 9),
+        gridHeight: readInt('gridHeight', 9),
+        targetWidth: readInt('targetWidth', 5),
+        targetHeight: readInt('targetHeight', 5),
+        hiddenChannels: readInt('hiddenChannels', 2),
+        neighborhood: neighborhoodSelect.value === 'custom'
+            ? parseNeighborhoodOffsets(document.getElementById('customNeighborhood').value)
+            : neighborhoodSelect.value,
+        neighborhoodRadius: readInt('neighborhoodRadius', 1),
+        boundary: boundarySelect ? boundarySelect.value : 'wrap',
+        continuousAlive: continuousAliveCheckbox ? continuousAliveCheckbox.checked : false
+    };
+}
+
+/**
+ * Check whether the current network's input/output shapes fit a grid configuration
+ * @param {Object} settings - Result of readGridConfigInputs()
+ * @returns {boolean} True if the existing network can be kept
+ */
+function networkMatchesSettings(settings) {
+    if (!neuralNetwork) {
+        return false;
+    }
+    const neighborhoodSize = Grid.resolveNeighborhood(settings.neighborhood, settings.neighborhoodRadius).length;
+    return neuralNetwork.hiddenChannels === settings.hiddenChannels &&
+        neuralNetwork.neighborhoodSize === neighborhoodSize;
+}
+
+/**
+ * (Re)build grid, cellular automata, game and trainer for the given configuration
+ * The neural network is kept unless the hidden channels or neighborhood change (which changes
+ * its input/output shapes); the target shape keeps its overlapping pixels
+ * @param {Object} settings - Result of readGridConfigInputs()
+ */
+function buildSimulation(settings) {
+    const { gridWidth, gridHeight, targetWidth, targetHeight, hiddenChannels } = settings;
+    
+    if (trainer) {
+        trainer.dispose();
+    }
+    
+    // Initialize grid (odd sizes keep it symmetric about the center pixel)
+    grid = new Grid(gridWidth, gridHeight, {
+        hiddenChannels: hiddenChannels,
+        neighborhood: settings.neighborhood,
+        neighborhoodRadius: settings.neighborhoodRadius,
+        boundary: settings.boundary,
+        continuousAlive: settings.continuousAlive
+    });
+    
+    // Initialize neural network (independent of grid size, so it survives size changes)
+    if (!networkMatchesSettings(settings)) {
+        if (neuralNetwork) {
+            neuralNetwork.dispose();
+        }
+        neuralNetwork = new NeuralNetwork({
+            hiddenSize1: 16,
+            hiddenSize2: 16,
+            hiddenChannels: hiddenChannels,
+            neighborhoodSize: grid.neighborhoodSize
+        });
+        neuralNetwork.initialize();
+        console.log('Neural network initialized');
+    }
+    
     // Initialize cellular automata
-    cellularAutomata = new CellularAutomata(grid, neuralNetwork);
+    cellularAutomata = new CellularAutomata(grid, neuralNetwork, Object.assign({
+        tensorResident: tensorModeCheckbox ? tensorModeCheckbox.checked : false
+    }, readUpdateRuleInputs()));
     
     // Create game instance
-    game = new Game(grid, cellularAutomata);
+    game = new Game(grid, cellularAutomata, { targetWidth, targetHeight });
     
     // Initialize trainer with GA parameters (will be read from UI)
-    trainer = new Trainer(grid, neuralNetwork, cellularAutomata, {
+    trainer = createTrainer();
+    
+    // Resize target shapes, keeping pixels that still fit; fewer hidden channels can encode fewer targets
+    const previousTargets = targets.length > 0 ? targets.slice(0, Game.maxTargets(grid.hiddenChannels)) : [[]];
+    targets = previousTargets.map(previousTarget => {
+        const shape = Game.createEmptyTarget(targetWidth, targetHeight);
+        for (let y = 0; y < Math.min(targetHeight, previousTarget.length); y++) {
+            for (let x = 0; x < Math.min(targetWidth, previousTarget[y].length); x++) {
+                shape[y][x] = previousTarget[y][x];
+            }
+        }
+        return shape;
+    });
+    currentTarget = Math.min(currentTarget, targets.length - 1);
+    targetShape = targets[currentTarget];
+    refreshTargetList();
+    
+    // Place a single seed cell at the center of the grid
+    game.resetToSeed(currentTarget);
+    
+    // Show every score the game computes in the loss display
+    game.setScoreCallback(displayScore);
+    
+    resizeCanvases();
+    renderTestCanvas();
+    renderTargetCanvas();
+}
+
+/**
+ * Create a trainer for the current grid, network, CA and target size
+ * @returns {Trainer} New trainer instance
+ */
+function createTrainer() {
+    return new Trainer(grid, neuralNetwork, cellularAutomata, {
         populationSize: 30,
         mutationRate: 0.15,
         mutationStrength: 0.02,
-        eliteCount: 2
+        eliteCount: 2,
+        targetWidth: game.targetWidth,
+        targetHeight: game.targetHeight
     });
+}
+
+/**
+ * Resize canvases and size labels to follow the configured grid and target sizes
+ */
+function resizeCanvases() {
+    // Test canvas: 10 canvas pixels per cell, displayed 500px wide
+    testCanvas.width = grid.width * 10;
+    testCanvas.height = grid.height * 10;
+    testCanvas.style.height = `${Math.round(500 * grid.height / grid.width)}px`;
     
-    // Initialize target shape (5×5 - reduced for memory efficiency)
-    targetShape = [];
-    for (let y = 0; y < 5; y++) {
-        targetShape[y] = [];
-        for (let x = 0; x < 5; x++) {
-            targetShape[y][x] = false;
-        }
-    }
+    // Target canvas: 2 canvas pixels per cell, displayed 200px wide
+    targetCanvas.width = game.targetWidth * 2;
+    targetCanvas.height = game.targetHeight * 2;
+    targetCanvas.style.height = `${Math.round(200 * game.targetHeight / game.targetWidth)}px`;
     
-    // Get button references
-    runButton = document.getElementById('runBtn');
-    trainButton = document.getElementById('trainBtn');
-    clearButton = document.getElementById('clearBtn');
-    genStepsDropdown = document.getElementById('genSteps');
-    continuousCheckbox = document.getElementById('continuousCheckbox');
-    lossValueElement = document.getElementById('lossValue');
+    // Resizing a canvas resets its context state
+    targetCtx.imageSmoothingEnabled = false;
+    testCtx.imageSmoothingEnabled = false;
     
-    // Set loss display element on game instance
-    if (game && lossValueElement) {
-        game.setLossDisplayElement(lossValueElement);
+    document.getElementById('gridSizeLabel').textContent = `${grid.width}×${grid.height}`;
+    document.getElementById('targetSizeLabel').textContent = `${game.targetWidth}×${game.targetHeight}`;
+}
+
+/**
+ * Handle Apply Configuration button click - rebuild the simulation with the new configuration
+ */
+function handleApplyConfig() {
+    if (isTrainingActive()) {
+        alert('Stop training before changing the grid configuration.');
+        return;
     }
     
-    // Initial render
-    renderTestCanvas();
-    renderTargetCanvas();
+    let settings;
+    try {
+        settings = readGridConfigInputs();
+        Grid.resolveNeighborhood(settings.neighborhood, settings.neighborhoodRadius);
+    } catch (error) {
+        alert(error.message);
+        return;
+    }
     
-    // Set up target canvas click handler
-    targetCanvas.addEventListener('click', handleTargetCanvasClick);
+    if (settings.targetWidth > settings.gridWidth || settings.targetHeight > settings.gridHeight) {
+        alert(`The ${settings.targetWidth}×${settings.targetHeight} target does not fit in the ${settings.gridWidth}×${settings.gridHeight} grid.`);
+        return;
+    }
     
-    // Set up test canvas click and drag handlers
-    testCanvas.addEventListener('mousedown', handleTestCanvasMouseDown);
-    testCanvas.addEventListener('mousemove', handleTestCanvasMouseMove);
-    testCanvas.addEventListener('mouseup', handleTestCanvasMouseUp);
-    testCanvas.addEventListener('mouseleave', handleTestCanvasMouseUp); // Stop dragging if mouse leaves canvas
+    if (neuralNetwork && !networkMatchesSettings(settings) &&
+        !confirm('Changing the hidden channels or neighborhood creates a new, untrained network. Continue?')) {
+        return;
+    }
     
-    // Set up button handlers
-    document.getElementById('trainBtn').addEventListener('click', handleTrain);
-    runButton.addEventListener('click', handleRun);
-    clearButton.addEventListener('click', handleClear);
+    // Stop CA if running
+    if (cellularAutomata && cellularAutomata.getIsRunning()) {
+        cellularAutomata.stop();
+        runButton.textContent = 'Run';
+    }
     
-    console.log('Initialization complete');
+    buildSimulation(settings);
+    calculateAndDisplayLoss();
+    console.log(`Grid ${grid.width}×${grid.height} with ${grid.hiddenChannels} hidden channels and ${grid.neighborhoodSize}-cell neighborhood, target ${game.targetWidth}×${game.targetHeight}`);
 }
 
 /**
- * Render the grid state on the test canvas (9×9)
+ * Render the grid state on the test canvas
  */
 function renderTestCanvas() {
     // Clear canvas
@@ -140,8 +338,9 @@ function renderTestCanvas() {
         for (let x = 0; x < grid.width; x++) {
             const cell = grid.getCell(x, y);
             
-            // Set color based on on/off state
-            testCtx.fillStyle = cell.on ? '#000000' : '#ffffff';
+            // Set grayscale color from alive value (black = alive, white = dead)
+            const shade = Math.round(255 * (1 - Grid.aliveValue(cell)));
+            testCtx.fillStyle = `rgb(${shade}, ${shade}, ${shade})`;
             testCtx.fillRect(
                 x * cellWidth,
                 y * cellHeight,
@@ -153,17 +352,17 @@ function renderTestCanvas() {
 }
 
 /**
- * Render the target shape on the target canvas (5×5, scaled to 10×10 canvas)
+ * Render the target shape on the target canvas (2×2 canvas pixels per cell)
  */
 function renderTargetCanvas() {
     // Clear canvas with white background
     targetCtx.fillStyle = '#ffffff';
     targetCtx.fillRect(0, 0, targetCanvas.width, targetCanvas.height);
     
-    // Draw each cell (scale up 5×5 to 10×10 canvas - 2×2 pixels per cell)
+    // Draw each cell (2×2 canvas pixels per cell)
     const cellSize = 2;
-    for (let y = 0; y < 5; y++) {
-        for (let x = 0; x < 5; x++) {
+    for (let y = 0; y < game.targetHeight; y++) {
+        for (let x = 0; x < game.targetWidth; x++) {
             // Set color based on target shape state
             targetCtx.fillStyle = targetShape[y][x] ? '#000000' : '#ffffff';
             targetCtx.fillRect(x * cellSize, y * cellSize, cellSize, cellSize);
@@ -173,18 +372,93 @@ function renderTargetCanvas() {
     // Draw grid lines for better visibility
     targetCtx.strokeStyle = '#e0e0e0';
     targetCtx.lineWidth = 0.1;
-    for (let i = 0; i <= 5; i++) {
+    for (let i = 0; i <= game.targetWidth; i++) {
         targetCtx.beginPath();
         targetCtx.moveTo(i * cellSize, 0);
-        targetCtx.lineTo(i * cellSize, 10);
+        targetCtx.lineTo(i * cellSize, targetCanvas.height);
         targetCtx.stroke();
+    }
+    for (let i = 0; i <= game.targetHeight; i++) {
         targetCtx.beginPath();
         targetCtx.moveTo(0, i * cellSize);
-        targetCtx.lineTo(10, i * cellSize);
+        targetCtx.lineTo(targetCanvas.width, i * cellSize);
         targetCtx.stroke();
     }
 }
 
+/**
+ * Fill the target dropdown and enable the add/remove buttons that apply
+ */
+function refreshTargetList() {
+    const select = document.getElementById('targetSelect');
+    select.innerHTML = '';
+    targets.forEach((shape, index) => {
+        const option = document.createElement('option');
+        option.value = String(index);
+        option.textContent = `Target ${index + 1}`;
+        select.appendChild(option);
+    });
+    select.value = String(currentTarget);
+    
+    document.getElementById('addTargetBtn').disabled = targets.length >= Game.maxTargets(grid.hiddenChannels);
+    document.getElementById('removeTargetBtn').disabled = targets.length <= 1;
+}
+
+/**
+ * Switch the edited and displayed target, and reseed the grid with its seed
+ * @param {number} index - Target index
+ */
+function selectTarget(index) {
+    currentTarget = index;
+    targetShape = targets[currentTarget];
+    refreshTargetList();
+    
+    game.resetToSeed(currentTarget);
+    renderTestCanvas();
+    renderTargetCanvas();
+    calculateAndDisplayLoss();
+}
+
+/**
+ * Handle target dropdown change
+ */
+function handleTargetSelect(event) {
+    selectTarget(parseInt(event.target.value, 10));
+}
+
+/**
+ * Handle Add Target button click - append an empty target and select it
+ */
+function handleAddTarget() {
+    if (isTrainingActive()) {
+        alert('Stop training before changing the targets.');
+        return;
+    }
+    if (targets.length >= Game.maxTargets(grid.hiddenChannels)) {
+        alert(`${grid.hiddenChannels} hidden channel(s) can encode at most ${Game.maxTargets(grid.hiddenChannels)} targets.`);
+        return;
+    }
+    
+    targets.push(Game.createEmptyTarget(game.targetWidth, game.targetHeight));
+    selectTarget(targets.length - 1);
+}
+
+/**
+ * Handle Remove Target button click - remove the selected target
+ */
+function handleRemoveTarget() {
+    if (isTrainingActive()) {
+        alert('Stop training before changing the targets.');
+        return;
+    }
+    if (targets.length <= 1) {
+        return;
+    }
+    
+    targets.splice(currentTarget, 1);
+    selectTarget(Math.min(currentTarget, targets.length - 1));
+}
+
 /**
  * Handle click on target canvas - toggle pixel state
  */
@@ -199,14 +473,14 @@ function handleTargetCanvasClick(event) {
     const canvasX = x * scaleX;
     const canvasY = y * scaleY;
     
-    // Calculate which cell was clicked (5×5 grid, scaled to 10×10 canvas)
-    const cellSize = targetCanvas.width / 5;
+    // Calculate which cell was clicked
+    const cellSize = targetCanvas.width / game.targetWidth;
     
     const cellX = Math.floor(canvasX / cellSize);
     const cellY = Math.floor(canvasY / cellSize);
     
     // Ensure coordinates are within bounds
-    if (cellX >= 0 && cellX < 5 && cellY >= 0 && cellY < 5) {
+    if (cellX >= 0 && cellX < game.targetWidth && cellY >= 0 && cellY < game.targetHeight) {
         // Toggle the cell state
         targetShape[cellY][cellX] = !targetShape[cellY][cellX];
         
@@ -218,7 +492,7 @@ function handleTargetCanvasClick(event) {
 }
 
 /**
- * Get the target shape as a 5×5 boolean array
+ * Get the target shape as a targetHeight×targetWidth boolean array
  * @returns {Array} 2D array of booleans
  */
 function getTargetShape() {
@@ -233,10 +507,24 @@ function calculateAndDisplayLoss() {
         return;
     }
     
-    // Game.calculateError() handles all calculation and UI display
+    // The score is shown by displayScore() through the game's score callback
     game.calculateError(targetShape);
 }
 
+/**
+ * Show a game score in the loss display
+ * @param {Object} score - { loss, totalError, hasTarget } from Game.calculateScore()
+ */
+function displayScore(score) {
+    if (!lossValueElement) {
+        return;
+    }
+    
+    lossValueElement.textContent = score.hasTarget
+        ? score.loss.toFixed(6) + "    totalError: " + score.totalError.toFixed(6)
+        : '-';
+}
+
 /**
  * Handle mousedown on test canvas - start drawing
  */
@@ -285,7 +573,7 @@ function toggleTestCanvasCell(event) {
     const canvasX = x * scaleX;
     const canvasY = y * scaleY;
     
-    // Calculate which cell was clicked (100×100 grid)
+    // Calculate which cell was clicked
     const cellWidth = testCanvas.width / grid.width;
     const cellHeight = testCanvas.height / grid.height;
     
@@ -298,7 +586,7 @@ function toggleTestCanvasCell(event) {
         if (cellX !== lastCellX || cellY !== lastCellY) {
             // Toggle the cell state
             const cell = grid.getCell(cellX, cellY);
-            grid.setCell(cellX, cellY, !cell.on);
+            grid.setCell(cellX, cellY, Grid.aliveValue(cell) > 0.5 ? 0 : 1);
             
             // Re-render the test canvas
             renderTestCanvas();
@@ -310,6 +598,37 @@ function toggleTestCanvasCell(event) {
     }
 }
 
+/**
+ * Check whether training is running, on the main thread or in the worker
+ * @returns {boolean} True if training
+ */
+function isTrainingActive() {
+    return (trainer && trainer.getIsTraining()) || (workerTrainer !== null && workerTrainer.getIsTraining());
+}
+
+/**
+ * Get the background training worker, creating it on first use
+ * @returns {WorkerTrainer|null} The worker trainer, or null if background training is off or unavailable
+ */
+function getWorkerTrainer() {
+    const workerCheckbox = document.getElementById('workerCheckbox');
+    if (!workerCheckbox || !workerCheckbox.checked || !WorkerTrainer.isSupported()) {
+        return null;
+    }
+    
+    if (!workerTrainer) {
+        try {
+            workerTrainer = new WorkerTrainer('js/trainingWorker.js');
+        } catch (error) {
+            // e.g. pages opened from file:// cannot start workers
+            console.warn('Background training unavailable, training on the main thread:', error.message);
+            workerCheckbox.checked = false;
+            return null;
+        }
+    }
+    return workerTrainer;
+}
+
 /**
  * Handle Train button click - start training
  */
@@ -319,6 +638,14 @@ async function handleTrain() {
         return;
     }
     
+    if (workerTrainer !== null && workerTrainer.getIsTraining()) {
+        // Stop worker training - it finishes the current generation, then train() resolves
+        workerTrainer.stopTraining();
+        trainButton.textContent = 'Stopping...';
+        trainButton.disabled = true;
+        return;
+    }
+    
     if (trainer.getIsTraining()) {
         // Stop training
         trainer.stopTraining();
@@ -328,27 +655,18 @@ async function handleTrain() {
         
         // The best network is already applied (updated after each generation)
         // Reset grid to seed and render to show current best
-        game.resetToSeed();
+        game.resetToSeed(currentTarget);
         renderTestCanvas();
         calculateAndDisplayLoss();
         
         return;
     }
     
-    // Check if target shape has any pixels
-    let hasTarget = false;
-    for (let y = 0; y < 5; y++) {
-        for (let x = 0; x < 5; x++) {
-            if (targetShape[y][x]) {
-                hasTarget = true;
-                break;
-            }
-        }
-        if (hasTarget) break;
-    }
-    
-    if (!hasTarget) {
-        alert('Please draw a target shape in the 5×5 editor first!');
+    // Check if every target shape has pixels
+    const emptyTarget = targets.findIndex(shape => !Game.hasTargetPixels(shape));
+    if (emptyTarget >= 0) {
+        const name = targets.length > 1 ? ` for target ${emptyTarget + 1}` : '';
+        alert(`Please draw a target shape${name} in the ${game.targetWidth}×${game.targetHeight} editor first!`);
         return;
     }
     
@@ -361,7 +679,6 @@ async function handleTrain() {
     // Start training
     trainButton.textContent = 'Training...';
     trainButton.disabled = true;
-    trainButton.textContent = 'Training...';
     console.log('Starting training...');
     
     try {
@@ -369,17 +686,38 @@ async function handleTrain() {
         const numGenerationsInput = document.getElementById('numGenerations');
         const numGenerations = numGenerationsInput ? parseInt(numGenerationsInput.value, 10) : 100;
         
-        // Get genSteps from UI for running the best performer
-        const genSteps = genStepsDropdown ? parseInt(genStepsDropdown.value, 10) : 50;
+        // Pass training parameters from the UI to the trainer
+        const trainingConfig = readTrainingInputs();
+        trainer.setConfig(trainingConfig);
+        const genSteps = trainingConfig.genSteps;
+        
+        // Continue the current GA population if requested (generation numbers continue too)
+        const resumeCheckbox = document.getElementById('resumeCheckbox');
+        const resume = !!(trainingConfig.mode === 'ga' && resumeCheckbox && resumeCheckbox.checked && trainer.canResume());
+        const lastGeneration = (resume ? trainer.geneticAlgorithm.generation : 0) + numGenerations;
         
-        // Train for specified number of generations
-        await trainer.train(targetShape, numGenerations, (generation, loss, shouldContinue) => {
-            console.log(`Training generation ${generation}/${numGenerations}, loss: ${loss.toFixed(6)}`);
+        // Without an entered seed one is picked here and recorded, like the command line does. A seeded or
+        // reinitialized run starts from weights drawn from the seed, so the seed and settings reproduce it
+        // exactly; otherwise training continues from the current (trained or loaded) network
+        if (!resume) {
+            const runSeed = trainingConfig.seed !== null ? trainingConfig.seed : Random.randomSeed();
+            trainer.setConfig({ seed: runSeed });
+            const reinitializeCheckbox = document.getElementById('reinitializeCheckbox');
+            if (trainingConfig.seed !== null || (reinitializeCheckbox && reinitializeCheckbox.checked)) {
+                neuralNetwork.resetWeights(runSeed);
+            }
+        }
+        
+        const onProgress = (generation, loss, shouldContinue, stopReason) => {
+            console.log(`Training generation ${generation}/${lastGeneration}, loss: ${loss.toFixed(6)}`);
+            if (stopReason) {
+                console.log(`Training stopping: ${StoppingCriteria.describe(stopReason)}`);
+            }
             
             // Run the best performer from this generation on the test grid
             // The best network is already applied to the main network by Trainer
             // Reset grid to seed cell
-            game.resetToSeed();
+            game.resetToSeed(currentTarget);
             
             // Run CA for genSteps using game
             game.run(genSteps, null); // Don't calculate error here, it's already done in training
@@ -391,21 +729,49 @@ async function handleTrain() {
             calculateAndDisplayLoss();
             
             // Update button text to show progress (button says "Stop" when training)
-            trainButton.textContent = `Stop (Gen ${generation}/${numGenerations})`;
+            const unit = trainer.mode === 'gradient' ? 'Iter' : 'Gen';
+            trainButton.textContent = `Stop (${unit} ${generation}/${trainer.mode === 'gradient' ? numGenerations : lastGeneration})`;
+            trainButton.disabled = false;
             
             return shouldContinue;
-        });
+        };
+        
+        // Train for specified number of generations, in the background worker when available
+        let losses;
+        const worker = getWorkerTrainer();
+        if (worker) {
+            try {
+                losses = await worker.train(trainer, targets, numGenerations, onProgress, { resume: resume });
+            } catch (error) {
+                if (worker.isReady) {
+                    throw error;
+                }
+                
+                // The worker never started (e.g. its scripts failed to load): fall back to the main thread
+                console.warn('Background training unavailable, training on the main thread:', error.message);
+                worker.dispose();
+                workerTrainer = null;
+                document.getElementById('workerCheckbox').checked = false;
+                losses = await trainer.train(targets, numGenerations, onProgress, { resume: resume });
+            }
+        } else {
+            losses = await trainer.train(targets, numGenerations, onProgress, { resume: resume });
+        }
         
         console.log('Training completed');
+        const fallbackReason = trainer.getBatchedFallbackReason();
+        document.getElementById('stopReason').textContent =
+            `${StoppingCriteria.describe(trainer.getStopReason())} (seed ${trainer.getRunSeed()})` +
+            (fallbackReason ? `; batched evaluation unavailable (${fallbackReason}), evaluated one network at a time` : '');
         trainButton.textContent = 'Train';
         trainButton.disabled = false;
-        const lossHistory = trainer.getLossHistory();
-        if (lossHistory.length > 0) {
-            const finalLoss = lossHistory[lossHistory.length - 1];
+        if (losses.length > 0) {
+            const finalLoss = losses[losses.length - 1];
             console.log(`Final loss: ${finalLoss.toFixed(6)}`);
-            // Display final loss using game (will show full display with totalError)
-            calculateAndDisplayLoss();
         }
+        
+        // Display final loss using game (will show full display with totalError)
+        calculateAndDisplayLoss();
     } catch (error) {
         console.error('Training error:', error);
         alert('Training failed: ' + error.message);
@@ -470,7 +836,7 @@ function handleClear() {
     }
     
     // Clear the grid and reset to seed cell
-    game.resetToSeed();
+    game.resetToSeed(currentTarget);
     
     // Re-render the test canvas
     renderTestCanvas();
@@ -481,6 +847,391 @@ function handleClear() {
     console.log('Grid cleared and reset to single seed cell');
 }
 
+/**
+ * Handle Tensor Mode checkbox change - keep CA state as a tensor between steps
+ */
+function handleTensorModeChange() {
+    if (!cellularAutomata) {
+        return;
+    }
+    
+    cellularAutomata.setTensorResident(tensorModeCheckbox.checked);
+    console.log(`Tensor-resident updates ${tensorModeCheckbox.checked ? 'enabled' : 'disabled'}`);
+}
+
+/**
+ * Read training inputs (mode, gen steps, GA and gradient parameters) from the UI
+ * @returns {Object} Config for Trainer.setConfig()
+ */
+function readTrainingInputs() {
+    const readNumber = (id, fallback, parse = parseFloat) => {
+        const input = document.getElementById(id);
+        const value = input ? parse(input.value, 10) : NaN;
+        return Number.isFinite(value) ? value : fallback;
+    };
+    const trainingModeSelect = document.getElementById('trainingMode');
+    const batchedEvaluationCheckbox = document.getElementById('batchedEvaluationCheckbox');
+    const selectionSelect = document.getElementById('selection');
+    const crossoverSelect = document.getElementById('crossover');
+    const mutationScheduleSelect = document.getElementById('mutationSchedule');
+    const fitnessModeSelect = document.getElementById('fitnessMode');
+    const damageSelect = document.getElementById('damage');
+    
+    return {
+        mode: trainingModeSelect ? trainingModeSelect.value : 'ga',
+        genSteps: genStepsDropdown ? parseInt(genStepsDropdown.value, 10) : 50,
+        populationSize: readNumber('populationSize', 30, parseInt),
+        mutationRate: readNumber('mutationRate', 0.15),
+        mutationStrength: readNumber('mutationStrength', 0.02),
+        eliteCount: readNumber('eliteCount', 2, parseInt),
+        selection: selectionSelect ? selectionSelect.value : 'top2',
+        tournamentSize: Math.max(1, readNumber('tournamentSize', 3, parseInt)),
+        truncationRatio: Math.min(1, Math.max(0.05, readNumber('truncationRatio', 0.5))),
+        rankPressure: Math.min(2, Math.max(1, readNumber('rankPressure', 1.5))),
+        crossover: crossoverSelect ? crossoverSelect.value : 'uniform',
+        blendAlpha: Math.max(0, readNumber('blendAlpha', 0)),
+        mutationSchedule: mutationScheduleSelect ? mutationScheduleSelect.value : 'fixed',
+        annealingRate: Math.min(1, Math.max(0.5, readNumber('annealingRate', 0.98))),
+        selfAdaptiveRate: Math.max(0, readNumber('selfAdaptiveRate', 0.2)),
+        fitnessMode: fitnessModeSelect ? fitnessModeSelect.value : 'weighted',
+        persistenceSteps: Math.max(0, readNumber('persistenceSteps', 0, parseInt)),
+        shapeWeight: Math.max(0, readNumber('shapeWeight', 1)),
+        persistenceWeight: Math.max(0, readNumber('persistenceWeight', 1)),
+        stabilityWeight: Math.max(0, readNumber('stabilityWeight', 1)),
+        damage: damageSelect ? damageSelect.value : 'none',
+        damageSize: Math.max(1, readNumber('damageSize', 1, parseInt)),
+        recoverySteps: Math.max(0, readNumber('recoverySteps', 20, parseInt)),
+        poolSize: Math.max(0, readNumber('poolSize', 0, parseInt)),
+        poolBatchSize: Math.max(1, readNumber('poolBatchSize', 4, parseInt)),
+        batchedEvaluation: batchedEvaluationCheckbox ? batchedEvaluationCheckbox.checked : true,
+        learningRate: readNumber('learningRate', 0.001),
+        lossEveryNSteps: Math.max(1, readNumber('lossEveryNSteps', 4, parseInt)),
+        esSigma: Math.max(0.001, readNumber('esSigma', 0.02)),
+        esLearningRate: Math.max(0.0001, readNumber('esLearningRate', 0.01)),
+        targetLoss: readNumber('targetLoss', null),
+        patience: Math.max(0, readNumber('patience', 0, parseInt)),
+        timeBudget: Math.max(0, readNumber('timeBudget', 0)),
+        seed: readNumber('seedInput', null, parseInt)
+    };
+}
+
+/**
+ * Read update rule inputs from the UI
+ * @returns {Object} { updateRule, fireRate, aliveMasking, aliveThreshold }
+ */
+function readUpdateRuleInputs() {
+    const updateRuleSelect = document.getElementById('updateRule');
+    const fireRateInput = document.getElementById('fireRate');
+    const aliveMaskingCheckbox = document.getElementById('aliveMaskingCheckbox');
+    const aliveThresholdInput = document.getElementById('aliveThreshold');
+    const fireRate = fireRateInput ? parseFloat(fireRateInput.value) : 1.0;
+    const aliveThreshold = aliveThresholdInput ? parseFloat(aliveThresholdInput.value) : 0.1;
+    
+    return {
+        updateRule: updateRuleSelect ? updateRuleSelect.value : 'replace',
+        fireRate: fireRate > 0 && fireRate <= 1 ? fireRate : 1.0,
+        aliveMasking: aliveMaskingCheckbox ? aliveMaskingCheckbox.checked : false,
+        aliveThreshold: aliveThreshold >= 0 && aliveThreshold < 1 ? aliveThreshold : 0.1
+    };
+}
+
+/**
+ * Handle update rule / fire rate / alive masking change - applies to the CA immediately
+ */
+function handleUpdateRuleChange() {
+    if (!cellularAutomata) {
+        return;
+    }
+    
+    const { updateRule, fireRate, aliveMasking, aliveThreshold } = readUpdateRuleInputs();
+    cellularAutomata.setUpdateRule(updateRule, fireRate);
+    cellularAutomata.setAliveMasking(aliveMasking, aliveThreshold);
+    console.log(`Update rule: ${updateRule}, fire rate: ${fireRate}, alive masking: ${aliveMasking ? aliveThreshold : 'off'}`);
+}
+
+/**
+ * Serialize the current network with its CA configuration and targets
+ * @returns {Object} Model data (see ModelStorage.serialize)
+ */
+function serializeCurrentModel() {
+    return ModelStorage.serialize({
+        neuralNetwork: neuralNetwork,
+        cellularAutomata: cellularAutomata,
+        game: game,
+        targetShape: targets,
+        genSteps: genStepsDropdown ? parseInt(genStepsDropdown.value, 10) : null,
+        seed: trainer ? trainer.getRunSeed() : null
+    });
+}
+
+/**
+ * Replace the current simulation with a loaded model and update the UI to match its configuration
+ * @param {Object} data - Model data (see ModelStorage.serialize)
+ */
+function applyLoadedModel(data) {
+    if (isTrainingActive()) {
+        throw new Error('Stop training before loading a model.');
+    }
+    
+    const restored = ModelStorage.restore(data);
+    
+    // Stop CA if running
+    if (cellularAutomata && cellularAutomata.getIsRunning()) {
+        cellularAutomata.stop();
+        runButton.textContent = 'Run';
+    }
+    
+    if (trainer) {
+        trainer.dispose();
+    }
+    if (neuralNetwork) {
+        neuralNetwork.dispose();
+    }
+    
+    neuralNetwork = restored.neuralNetwork;
+    grid = restored.grid;
+    cellularAutomata = restored.cellularAutomata;
+    game = restored.game;
+    targets = restored.targets;
+    currentTarget = 0;
+    targetShape = targets[currentTarget];
+    trainer = createTrainer();
+    trainer.runSeed = restored.seed; // Keep the seed with the model when it is saved again
+    game.setScoreCallback(displayScore);
+    
+    syncInputsWithSimulation(restored.genSteps);
+    refreshTargetList();
+    resizeCanvases();
+    renderTestCanvas();
+    renderTargetCanvas();
+    calculateAndDisplayLoss();
+}
+
+/**
+ * Update configuration inputs to reflect the current grid, CA and target (e.g. after loading a model)
+ * @param {number} genSteps - Gen steps to select, if present in the dropdown
+ */
+function syncInputsWithSimulation(genSteps) {
+    const setValue = (id, value) => {
+        const element = document.getElementById(id);
+        if (element) {
+            element.value = String(value);
+        }
+    };
+    const setChecked = (id, checked) => {
+        const element = document.getElementById(id);
+        if (element) {
+            element.checked = !!checked;
+        }
+    };
+    
+    setValue('gridWidth', grid.width);
+    setValue('gridHeight', grid.height);
+    setValue('targetWidth', game.targetWidth);
+    setValue('targetHeight', game.targetHeight);
+    setValue('hiddenChannels', grid.hiddenChannels);
+    setValue('neighborhoodRadius', grid.neighborhoodRadius);
+    if (Array.isArray(grid.neighborhood)) {
+        setValue('neighborhood', 'custom');
+        setValue('customNeighborhood', grid.neighborhood.map(([dx, dy]) => `${dx},${dy}`).join(' '));
+    } else {
+        setValue('neighborhood', grid.neighborhood);
+    }
+    setValue('boundary', grid.boundary);
+    setChecked('continuousAliveCheckbox', grid.continuousAlive);
+    
+    setValue('updateRule', cellularAutomata.updateRule);
+    setValue('fireRate', cellularAutomata.fireRate);
+    setChecked('aliveMaskingCheckbox', cellularAutomata.aliveMasking);
+    setValue('aliveThreshold', cellularAutomata.aliveThreshold);
+    setChecked('tensorModeCheckbox', cellularAutomata.tensorResident);
+    
+    if (genStepsDropdown && genSteps && genStepsDropdown.querySelector(`option[value="${genSteps}"]`)) {
+        genStepsDropdown.value = String(genSteps);
+    }
+}
+
+/**
+ * Handle Download Model button click - save the model and CA configuration as a JSON file
+ */
+function handleDownloadModel() {
+    try {
+        const blob = new Blob([ModelStorage.toJSON(serializeCurrentModel())], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = `neuralca-model-${grid.width}x${grid.height}.json`;
+        document.body.appendChild(link);
+        link.click();
+        document.body.removeChild(link);
+        URL.revokeObjectURL(url);
+        console.log('Model downloaded');
+    } catch (error) {
+        console.error('Failed to save model:', error);
+        alert('Failed to save model: ' + error.message);
+    }
+}
+
+/**
+ * Handle model file selection - load a model from an uploaded JSON file
+ */
+async function handleModelFileSelected(event) {
+    const file = event.target.files[0];
+    event.target.value = ''; // Allow selecting the same file again
+    if (!file) {
+        return;
+    }
+    
+    try {
+        applyLoadedModel(ModelStorage.fromJSON(await file.text()));
+        console.log(`Model loaded from ${file.name}`);
+    } catch (error) {
+        console.error('Failed to load model:', error);
+        alert('Failed to load model: ' + error.message);
+    }
+}
+
+/**
+ * Refresh the local storage slot dropdown
+ */
+function refreshSlotList() {
+    const slotSelect = document.getElementById('modelSlotSelect');
+    let slots = [];
+    try {
+        slots = ModelStorage.listSlots();
+    } catch (error) {
+        console.warn('Model slots unavailable:', error.message);
+    }
+    
+    slotSelect.innerHTML = '';
+    for (const slot of slots) {
+        const option = document.createElement('option');
+        option.value = slot;
+        option.textContent = slot;
+        slotSelect.appendChild(option);
+    }
+}
+
+/**
+ * Handle Save to Slot button click - save the model in browser local storage
+ */
+function handleSaveSlot() {
+    const slot = document.getElementById('modelSlotName').value.trim();
+    if (!slot) {
+        alert('Please enter a slot name.');
+        return;
+    }
+    
+    try {
+        ModelStorage.saveToSlot(slot, serializeCurrentModel());
+        refreshSlotList();
+        document.getElementById('modelSlotSelect').value = slot;
+        console.log(`Model saved to slot "${slot}"`);
+    } catch (error) {
+        console.error('Failed to save model:', error);
+        alert('Failed to save model: ' + error.message);
+    }
+}
+
+/**
+ * Handle Load Slot button click - load the selected model from browser local storage
+ */
+function handleLoadSlot() {
+    const slot = document.getElementById('modelSlotSelect').value;
+    if (!slot) {
+        alert('No saved model selected.');
+        return;
+    }
+    
+    try {
+        const data = ModelStorage.loadFromSlot(slot);
+        if (!data) {
+            throw new Error(`Slot "${slot}" is empty`);
+        }
+        applyLoadedModel(data);
+        console.log(`Model loaded from slot "${slot}"`);
+    } catch (error) {
+        console.error('Failed to load model:', error);
+        alert('Failed to load model: ' + error.message);
+    }
+}
+
+/**
+ * Handle Delete Slot button click - remove the selected model from browser local storage
+ */
+function handleDeleteSlot() {
+    const slot = document.getElementById('modelSlotSelect').value;
+    if (!slot || !confirm(`Delete saved model "${slot}"?`)) {
+        return;
+    }
+    
+    ModelStorage.deleteSlot(slot);
+    refreshSlotList();
+    console.log(`Model slot "${slot}" deleted`);
+}
+
+/**
+ * Handle Save Checkpoint button click - download the GA population and state as a JSON file
+ */
+function handleSaveCheckpoint() {
+    if (isTrainingActive()) {
+        alert('Stop training before saving a checkpoint.');
+        return;
+    }
+    
+    try {
+        const checkpoint = trainer.saveCheckpoint();
+        const blob = new Blob([JSON.stringify(checkpoint)], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = `neuralca-ga-checkpoint-gen${checkpoint.generation}.json`;
+        document.body.appendChild(link);
+        link.click();
+        document.body.removeChild(link);
+        URL.revokeObjectURL(url);
+        console.log(`Checkpoint saved at generation ${checkpoint.generation}`);
+    } catch (error) {
+        console.error('Failed to save checkpoint:', error);
+        alert('Failed to save checkpoint: ' + error.message);
+    }
+}
+
+/**
+ * Handle checkpoint file selection - restore a GA population so training can be resumed
+ */
+async function handleCheckpointFileSelected(event) {
+    const file = event.target.files[0];
+    event.target.value = ''; // Allow selecting the same file again
+    if (!file) {
+        return;
+    }
+    
+    if (isTrainingActive()) {
+        alert('Stop training before loading a checkpoint.');
+        return;
+    }
+    
+    try {
+        trainer.loadCheckpoint(JSON.parse(await file.text()));
+        
+        // Show the checkpoint's GA parameters so they can be adjusted before resuming
+        for (const key of Trainer.GA_PARAMETERS) {
+            document.getElementById(key).value = String(trainer[key]);
+        }
+        document.getElementById('resumeCheckbox').checked = true;
+        document.getElementById('trainingMode').value = 'ga';
+        
+        game.resetToSeed(currentTarget);
+        renderTestCanvas();
+        calculateAndDisplayLoss();
+        console.log(`Checkpoint loaded from ${file.name}`);
+    } catch (error) {
+        console.error('Failed to load checkpoint:', error);
+        alert('Failed to load checkpoint: ' + error.message);
+    }
+}
+
 // Initialize when DOM is ready
 if (document.readyState === 'loading') {
     document.addEventListener('DOMContentLoaded', init);
@@ -0,0 +1,49 @@
+/**
+ * node.js - Node.js entry point for the Neural Cellular Automata core
+ * The core classes are written for the browser, where index.html loads them as plain scripts and
+ * they refer to each other (and to `tf`) as globals. This module recreates those globals under
+ * Node.js, in the same order as index.html, and exports the classes:
+ *
+ *     const { Grid, NeuralNetwork, CellularAutomata, Game, Trainer } = require('./js/node');
+ *
+ * Uses @tensorflow/tfjs-node (native bindings, much faster) when it is installed and falls back
+ * to the pure JavaScript @tensorflow/tfjs package otherwise.
+ */
+'use strict';
+
+/**
+ * Load TensorFlow.js, preferring the native Node.js backend
+ * @returns {Object} The tf namespace
+ */
+function loadTensorFlow() {
+    try {
+        return require('@tensorflow/tfjs-node');
+    } catch (error) {
+        return require('@tensorflow/tfjs');
+    }
+}
+
+if (typeof global.tf === 'undefined') {
+    global.tf = loadTensorFlow();
+}
+
+// Same order as the <script> tags in index.html (main.js is browser-only)
+const modules = {};
+for (const name of [
+    'Random',
+    'Grid',
+    'NeuralNetwork',
+    'CellularAutomata',
+    'Game',
+    'SamplePool',
+    'GeneticAlgorithm',
+    'EvolutionStrategy',
+    'StoppingCriteria',
+    'Trainer',
+    'ModelStorage'
+]) {
+    modules[name] = require(`./${name}`);
+    global[name] = modules[name];
+}
+
+module.exports = Object.assign({ tf: global.tf }, modules);
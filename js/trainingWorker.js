@@ -0,0 +1,97 @@
+/**
+ * trainingWorker.js - Web Worker that runs Trainer.train() off the main thread
+ * Started and driven by WorkerTrainer (see WorkerTrainer.js for the message protocol).
+ * Paths are relative to this file, so the core scripts are loaded from the same js/ directory.
+ */
+importScripts(
+    'https://cdn.jsdelivr.net/npm/@tensorflow/tfjs@latest',
+    'Random.js',
+    'Grid.js',
+    'NeuralNetwork.js',
+    'CellularAutomata.js',
+    'Game.js',
+    'SamplePool.js',
+    'GeneticAlgorithm.js',
+    'EvolutionStrategy.js',
+    'StoppingCriteria.js',
+    'Trainer.js',
+    'ModelStorage.js'
+);
+
+let trainer = null;
+let neuralNetwork = null;
+
+/**
+ * Dispose of the previous run's trainer and network
+ */
+function disposeRun() {
+    if (trainer) {
+        trainer.dispose();
+        trainer = null;
+    }
+    if (neuralNetwork) {
+        neuralNetwork.dispose();
+        neuralNetwork = null;
+    }
+}
+
+/**
+ * Rebuild the simulation from the start message and train
+ * @param {Object} message - { model, trainerConfig, targetShape, numGenerations, checkpoint }
+ */
+async function startTraining(message) {
+    disposeRun();
+    
+    // The model carries the network weights and the full grid / CA configuration
+    const restored = ModelStorage.restore(message.model);
+    neuralNetwork = restored.neuralNetwork;
+    trainer = new Trainer(restored.grid, neuralNetwork, restored.cellularAutomata, message.trainerConfig);
+    
+    if (message.checkpoint) {
+        trainer.loadCheckpoint(message.checkpoint);
+        trainer.setConfig(message.trainerConfig); // Adjusted parameters override the checkpoint's
+    }
+    
+    const losses = await trainer.train(message.targetShape, message.numGenerations, (generation, loss, shouldContinue, stopReason) => {
+        self.postMessage({
+            type: 'progress',
+            generation: generation,
+            loss: loss,
+            stopReason: stopReason,
+            weights: neuralNetwork.exportWeights()
+        });
+        return true;
+    }, { resume: !!message.checkpoint });
+    
+    self.postMessage({
+        type: 'done',
+        losses: losses,
+        stopReason: trainer.getStopReason(),
+        runSeed: trainer.getRunSeed(),
+        batchedFallbackReason: trainer.getBatchedFallbackReason(),
+        weights: neuralNetwork.exportWeights(),
+        checkpoint: trainer.mode === 'ga' && trainer.canResume() ? trainer.saveCheckpoint() : null
+    });
+}
+
+self.onmessage = async (event) => {
+    const message = event.data;
+    
+    if (message.type === 'stop') {
+        // The training loop yields between generations, so this arrives while train() is running
+        if (trainer) {
+            trainer.stopTraining();
+        }
+        return;
+    }
+    
+    if (message.type === 'start') {
+        try {
+            await startTraining(message);
+        } catch (error) {
+            self.postMessage({ type: 'error', message: error.message });
+        }
+    }
+};
+
+self.postMessage({ type: 'ready' });
@@ -0,0 +1,70 @@
+/**
+ * CellularAutomata.test.js - The JavaScript and tensor update paths must produce the same grids
+ * Run with `npm test` (Node's built-in test runner)
+ */
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { tf, Grid, NeuralNetwork, CellularAutomata, Game } = require('../js/node');
+
+const NUM_STEPS = 8;
+
+/**
+ * Run NUM_STEPS steps from the seed cell and return the final grid state
+ * @param {Object} caConfig - CellularAutomata configuration
+ * @param {string} path - 'js' (update()), 'tensor' (tensorResident runSteps) or 'batch' (stepTensorBatch)
+ * @returns {Float32Array} Final grid state (Grid.toArray() layout)
+ */
+function runFromSeed(caConfig, path) {
+    const grid = new Grid(9, 9);
+    const neuralNetwork = new NeuralNetwork({ hiddenChannels: grid.hiddenChannels, neighborhoodSize: grid.neighborhoodSize });
+    neuralNetwork.initialize(1);
+    const cellularAutomata = new CellularAutomata(grid, neuralNetwork, Object.assign({
+        tensorResident: path === 'tensor'
+    }, caConfig));
+    new Game(grid, cellularAutomata).resetToSeed();
+    
+    try {
+        if (path === 'batch') {
+            const stackedLayers = NeuralNetwork.stackWeights([neuralNetwork]);
+            let state = tf.tidy(() => grid.toTensor().expandDims(0));
+            for (let step = 0; step < NUM_STEPS; step++) {
+                const nextState = cellularAutomata.stepTensorBatch(state, inputs => NeuralNetwork.applyStacked(stackedLayers, inputs));
+                state.dispose();
+                state = nextState;
+            }
+            const result = state.dataSync().slice();
+            state.dispose();
+            stackedLayers.forEach(layer => layer.kernel.dispose());
+            return result;
+        }
+        
+        cellularAutomata.runSteps(NUM_STEPS);
+        return grid.toArray();
+    } finally {
+        neuralNetwork.dispose();
+    }
+}
+
+/**
+ * Largest absolute difference between two states
+ * @param {Float32Array} a - First state
+ * @param {Float32Array} b - Second state
+ * @returns {number} Maximum difference
+ */
+function maxDifference(a, b) {
+    return a.reduce((max, value, i) => Math.max(max, Math.abs(value - b[i])), 0);
+}
+
+for (const updateRule of ['replace', 'residual']) {
+    test(`tensor paths match update() with alive masking (${updateRule} rule)`, () => {
+        const caConfig = { updateRule: updateRule, aliveMasking: true };
+        const expected = runFromSeed(caConfig, 'js');
+        
+        for (const path of ['tensor', 'batch']) {
+            const difference = maxDifference(expected, runFromSeed(caConfig, path));
+            assert.ok(difference < 1e-5, `${path} path differs from update() by ${difference}`);
+        }
+    });
+}
@@ -0,0 +1,74 @@
+/**
+ * EvolutionStrategy.test.js - Fitness shaping, the ES update and resuming an ES run
+ * Run with `npm test` (Node's built-in test runner)
+ */
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { Grid, NeuralNetwork, CellularAutomata, Game, EvolutionStrategy } = require('../js/node');
+
+/**
+ * Create an evolution strategy on a fresh seeded network
+ * @param {Object} config - EvolutionStrategy configuration
+ * @returns {EvolutionStrategy} ES (dispose it and its baseNetwork when done)
+ */
+function createEvolutionStrategy(config = {}) {
+    const grid = new Grid(9, 9);
+    const neuralNetwork = new NeuralNetwork({ hiddenChannels: grid.hiddenChannels, neighborhoodSize: grid.neighborhoodSize });
+    neuralNetwork.initialize(3);
+    const cellularAutomata = new CellularAutomata(grid, neuralNetwork);
+    return new EvolutionStrategy(grid, neuralNetwork, cellularAutomata, Object.assign({ populationSize: 6, seed: 11 }, config));
+}
+
+/**
+ * Dispose an evolution strategy and its base network
+ * @param {EvolutionStrategy} evolutionStrategy - ES from createEvolutionStrategy()
+ */
+function disposeEvolutionStrategy(evolutionStrategy) {
+    evolutionStrategy.dispose();
+    evolutionStrategy.baseNetwork.dispose();
+}
+
+const TARGET = Game.createEmptyTarget(5, 5);
+TARGET[2][2] = TARGET[1][2] = true;
+
+test('centered ranks give the lowest loss 0.5 and the highest -0.5, ignoring the loss scale', () => {
+    assert.deepStrictEqual(EvolutionStrategy.centeredRanks([3, 1, 2]), [-0.5, 0.5, 0]);
+    assert.deepStrictEqual(EvolutionStrategy.centeredRanks([300, 1, 20]), [-0.5, 0.5, 0]);
+    assert.deepStrictEqual(EvolutionStrategy.centeredRanks([4]), [0]);
+});
+
+test('ES steps move the center downhill on a known loss', () => {
+    const evolutionStrategy = createEvolutionStrategy({ populationSize: 20, sigma: 0.05, learningRate: 0.02 });
+    evolutionStrategy._initialize();
+    
+    // Replace the CA loss with a quadratic bowl around 0.25 so the descent direction is known
+    const bowl = params => params.reduce((sum, value) => sum + (value - 0.25) * (value - 0.25), 0) / params.length;
+    evolutionStrategy._evaluate = params => bowl(params);
+    
+    const initialLoss = bowl(evolutionStrategy.center);
+    let loss = initialLoss;
+    for (let step = 0; step < 30; step++) {
+        loss = evolutionStrategy._step([TARGET], 1);
+    }
+    assert.ok(loss < 0.9 * initialLoss, `loss ${loss} did not fall below ${initialLoss}`);
+    
+    disposeEvolutionStrategy(evolutionStrategy);
+});
+
+test('a resumed ES run keeps its center and continues the generation count', async () => {
+    const evolutionStrategy = createEvolutionStrategy();
+    await evolutionStrategy.train(TARGET, 2, 4);
+    const center = Float32Array.from(evolutionStrategy.center);
+    const centerWeights = [].concat(...evolutionStrategy.getBestNetwork().exportWeights().map(weight => weight.values));
+    assert.deepStrictEqual(Float32Array.from(centerWeights), center);
+    
+    const losses = await evolutionStrategy.train(TARGET, 1, 4, null, { resume: true });
+    assert.strictEqual(losses.length, 1);
+    assert.strictEqual(evolutionStrategy.generation, 3);
+    assert.strictEqual(evolutionStrategy.lossHistory.length, 3);
+    assert.notDeepStrictEqual(evolutionStrategy.center, center);
+    
+    disposeEvolutionStrategy(evolutionStrategy);
+});
@@ -0,0 +1,180 @@
+/**
+ * Game.test.js - Damage events for regeneration training and seed codes for multi-target training
+ * Run with `npm test` (Node's built-in test runner)
+ */
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { Random, Grid, NeuralNetwork, CellularAutomata, Game, ModelStorage } = require('../js/node');
+
+/**
+ * Create a game on a 15×15 grid with a 7×5 target
+ * @param {Object} gridConfig - Grid configuration (default: 2 hidden channels)
+ * @returns {Game} Game seeded at the grid center
+ */
+function createGame(gridConfig = {}) {
+    const grid = new Grid(15, 15, gridConfig);
+    const neuralNetwork = new NeuralNetwork({ hiddenChannels: grid.hiddenChannels, neighborhoodSize: grid.neighborhoodSize });
+    const game = new Game(grid, new CellularAutomata(grid, neuralNetwork), { targetWidth: 7, targetHeight: 5 });
+    game.resetToSeed();
+    return game;
+}
+
+test('sampleDamage stays in the target region, the second half of growth and 1..size', () => {
+    const game = createGame();
+    const origin = game.getTargetOrigin();
+    const random = new Random(5);
+    
+    for (const shape of Game.DAMAGE_SHAPES) {
+        for (const genSteps of [1, 2, 7, 20]) {
+            for (let i = 0; i < 200; i++) {
+                const damage = game.sampleDamage(random, shape, 3, genSteps);
+                assert.strictEqual(damage.shape, shape);
+                assert.ok(damage.x >= origin.x && damage.x < origin.x + game.targetWidth, `x ${damage.x}`);
+                assert.ok(damage.y >= origin.y && damage.y < origin.y + game.targetHeight, `y ${damage.y}`);
+                assert.ok(damage.step >= Math.ceil(genSteps / 2) && damage.step <= genSteps, `step ${damage.step}`);
+                for (const radius of [damage.radiusX, damage.radiusY]) {
+                    assert.ok(Number.isInteger(radius) && radius >= 1 && radius <= 3, `radius ${radius}`);
+                }
+                if (shape === 'disc') {
+                    assert.strictEqual(damage.radiusX, 3);
+                    assert.strictEqual(damage.radiusY, 3);
+                }
+            }
+        }
+    }
+    
+    assert.throws(() => game.sampleDamage(random, 'star', 3, 10), /Unknown damage shape/);
+});
+
+test('getDamageMask erases a disc or rectangle around the damage center', () => {
+    const game = createGame();
+    const width = game.grid.width;
+    const disc = game.getDamageMask({ shape: 'disc', x: 7, y: 7, radiusX: 2, radiusY: 2, step: 1 });
+    const rect = game.getDamageMask({ shape: 'rect', x: 7, y: 7, radiusX: 2, radiusY: 1, step: 1 });
+    
+    for (let y = 0; y < game.grid.height; y++) {
+        for (let x = 0; x < width; x++) {
+            const dx = x - 7;
+            const dy = y - 7;
+            assert.strictEqual(disc[y * width + x], dx * dx + dy * dy <= 4 ? 0 : 1, `disc (${x}, ${y})`);
+            assert.strictEqual(rect[y * width + x], Math.abs(dx) <= 2 && Math.abs(dy) <= 1 ? 0 : 1, `rect (${x}, ${y})`);
+        }
+    }
+    
+    // Cells past the grid edge are clipped rather than wrapped
+    const corner = game.getDamageMask({ shape: 'rect', x: 0, y: 0, radiusX: 1, radiusY: 1, step: 1 });
+    assert.strictEqual(corner.filter(value => value === 0).length, 4);
+    assert.strictEqual(corner[(game.grid.height - 1) * width + width - 1], 1);
+});
+
+test('applyDamage clears the alive value and hidden state of erased cells only', () => {
+    const game = createGame();
+    const grid = game.grid;
+    const stateVector = new Float32Array(grid.hiddenChannels).fill(0.5);
+    for (let y = 0; y < grid.height; y++) {
+        for (let x = 0; x < grid.width; x++) {
+            grid.setCell(x, y, true, stateVector);
+        }
+    }
+    
+    const damage = { shape: 'disc', x: 7, y: 7, radiusX: 1, radiusY: 1, step: 1 };
+    const mask = game.getDamageMask(damage);
+    game.applyDamage(damage);
+    
+    for (let y = 0; y < grid.height; y++) {
+        for (let x = 0; x < grid.width; x++) {
+            const cell = grid.getCell(x, y);
+            const intact = mask[y * grid.width + x] === 1;
+            assert.strictEqual(cell.on, intact, `alive (${x}, ${y})`);
+            assert.ok(cell.stateVector.every(value => value === (intact ? 0.5 : 0)), `hidden state (${x}, ${y})`);
+        }
+    }
+});
+
+/**
+ * Create a 7×5 target with one pixel on
+ * @param {number} x - Column of the pixel
+ * @returns {Array<Array<boolean>>} Target shape
+ */
+function pixelTarget(x) {
+    const targetShape = Game.createEmptyTarget(7, 5);
+    targetShape[2][x] = true;
+    return targetShape;
+}
+
+test('every target index up to maxTargets gets a distinct binary seed code', () => {
+    assert.strictEqual(Game.maxTargets(2), 4);
+    assert.strictEqual(Game.maxTargets(3), 8);
+    
+    assert.deepStrictEqual(Array.from(Game.seedStateVector(0, 3)), [0, 0, 0]);
+    assert.deepStrictEqual(Array.from(Game.seedStateVector(1, 3)), [1, 0, 0]);
+    assert.deepStrictEqual(Array.from(Game.seedStateVector(6, 3)), [0, 1, 1]);
+    
+    const codes = new Set();
+    for (let i = 0; i < Game.maxTargets(3); i++) {
+        codes.add(Array.from(Game.seedStateVector(i, 3)).join(''));
+    }
+    assert.strictEqual(codes.size, 8);
+});
+
+test('resetToSeed puts the target\'s code in the hidden state of the only live cell', () => {
+    const game = createGame({ hiddenChannels: 3 });
+    const grid = game.grid;
+    
+    for (const targetIndex of [0, 5]) {
+        game.resetToSeed(targetIndex);
+        for (let y = 0; y < grid.height; y++) {
+            for (let x = 0; x < grid.width; x++) {
+                const cell = grid.getCell(x, y);
+                const isSeed = x === 7 && y === 7;
+                assert.strictEqual(cell.on, isSeed);
+                const expected = isSeed ? Array.from(Game.seedStateVector(targetIndex, 3)) : [0, 0, 0];
+                assert.deepStrictEqual(Array.from(cell.stateVector), expected);
+            }
+        }
+    }
+    
+    const seedState = game.getSeedState(5);
+    game.resetToSeed(5);
+    assert.deepStrictEqual(seedState, grid.toArray());
+    assert.notDeepStrictEqual(game.getSeedState(5), game.getSeedState(4));
+});
+
+test('toTargetList wraps a single target and validateTargets allows at most one target per seed code', () => {
+    const single = pixelTarget(3);
+    assert.deepStrictEqual(Game.toTargetList(single), [single]);
+    const list = [pixelTarget(1), pixelTarget(5)];
+    assert.strictEqual(Game.toTargetList(list), list);
+    
+    const game = createGame({ hiddenChannels: 1 });
+    assert.doesNotThrow(() => game.validateTargets(list));
+    assert.throws(() => game.validateTargets([...list, pixelTarget(3)]), /at most 2/);
+    assert.throws(() => game.validateTargets([]), /At least one target/);
+    assert.throws(() => game.validateTargets([pixelTarget(1), Game.createEmptyTarget(5, 5)]));
+});
+
+test('a saved multi-target model restores every target', () => {
+    const game = createGame();
+    const neuralNetwork = game.cellularAutomata.neuralNetwork;
+    neuralNetwork.initialize(2);
+    const targets = [pixelTarget(1), pixelTarget(3), pixelTarget(5)];
+    const data = JSON.parse(ModelStorage.toJSON(ModelStorage.serialize({
+        neuralNetwork: neuralNetwork,
+        cellularAutomata: game.cellularAutomata,
+        game: game,
+        targetShape: targets,
+        genSteps: 10
+    })));
+    neuralNetwork.dispose();
+    assert.deepStrictEqual(data.target.shape, targets[0]);
+    
+    const restored = ModelStorage.restore(data);
+    try {
+        assert.deepStrictEqual(restored.targets, targets);
+        assert.deepStrictEqual(restored.targetShape, targets[0]);
+    } finally {
+        restored.neuralNetwork.dispose();
+    }
+});
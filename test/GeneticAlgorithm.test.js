@@ -0,0 +1,260 @@
+/**
+ * GeneticAlgorithm.test.js - Checkpoints, parent selection, batched evaluation fallback and Pareto ranking
+ * of the genetic algorithm
+ * Run with `npm test` (Node's built-in test runner)
+ */
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { Grid, NeuralNetwork, CellularAutomata, Game, GeneticAlgorithm, Trainer, Random } = require('../js/node');
+
+/**
+ * Create a trainer on a fresh seeded network
+ * @param {Object} config - Trainer configuration
+ * @returns {Trainer} Trainer (dispose trainer and trainer.neuralNetwork when done)
+ */
+function createTrainer(config = {}) {
+    const grid = new Grid(9, 9);
+    const neuralNetwork = new NeuralNetwork({ hiddenChannels: grid.hiddenChannels, neighborhoodSize: grid.neighborhoodSize });
+    neuralNetwork.initialize(7);
+    const cellularAutomata = new CellularAutomata(grid, neuralNetwork, { fireRate: 0.5 });
+    return new Trainer(grid, neuralNetwork, cellularAutomata, Object.assign({
+        populationSize: 6,
+        genSteps: 4,
+        seed: 99
+    }, config));
+}
+
+/**
+ * Dispose a trainer and its network
+ * @param {Trainer} trainer - Trainer from createTrainer()
+ */
+function disposeTrainer(trainer) {
+    trainer.dispose();
+    trainer.neuralNetwork.dispose();
+}
+
+/**
+ * Create a genetic algorithm whose population is given fitness values (best first, as after ranking)
+ * @param {Object} config - GeneticAlgorithm configuration
+ * @param {Array<number>} fitness - Fitness per individual
+ * @returns {GeneticAlgorithm} GA with plain { fitness } individuals, enough for parent selection
+ */
+function createRankedPopulation(config, fitness) {
+    const trainer = createTrainer();
+    const geneticAlgorithm = new GeneticAlgorithm(trainer.grid, trainer.neuralNetwork, trainer.cellularAutomata, config);
+    geneticAlgorithm.population = fitness.map(value => ({ fitness: value }));
+    disposeTrainer(trainer);
+    return geneticAlgorithm;
+}
+
+/**
+ * Draw parent indices with _selectParent()
+ * @param {GeneticAlgorithm} geneticAlgorithm - GA from createRankedPopulation()
+ * @param {number} count - Number of draws
+ * @returns {Array<number>} Selected indices
+ */
+function drawParents(geneticAlgorithm, count) {
+    return Array.from({ length: count }, () => geneticAlgorithm._selectParent());
+}
+
+/**
+ * Replay proportional sampling (see GeneticAlgorithm._sampleIndex) with a generator
+ * @param {Random} random - Generator in the same state as the GA's
+ * @param {Array<number>} weights - Non-negative weights
+ * @returns {number} Index the GA is expected to pick
+ */
+function expectedProportional(random, weights) {
+    let r = random.next() * weights.reduce((sum, w) => sum + w, 0);
+    const index = weights.findIndex(w => (r -= w) < 0);
+    return index >= 0 ? index : weights.length - 1;
+}
+
+const FITNESS = [8, 7, 6, 5, 4, 3, 0, 0];
+
+const TARGET = Game.createEmptyTarget(5, 5);
+TARGET[1][2] = TARGET[2][2] = TARGET[3][2] = true;
+
+test('a run resumed from a checkpoint continues exactly like an uninterrupted run', async () => {
+    const straight = createTrainer();
+    const expected = await straight.train(TARGET, 6);
+    disposeTrainer(straight);
+    
+    const first = createTrainer();
+    const firstHalf = await first.train(TARGET, 3);
+    const checkpoint = JSON.parse(JSON.stringify(first.saveCheckpoint()));
+    disposeTrainer(first);
+    
+    const resumed = createTrainer();
+    resumed.loadCheckpoint(checkpoint);
+    const secondHalf = await resumed.train(TARGET, 3, null, { resume: true });
+    disposeTrainer(resumed);
+    
+    assert.deepStrictEqual(firstHalf.concat(secondHalf), expected);
+});
+
+test('tournament selection picks the best of tournamentSize random individuals', () => {
+    const geneticAlgorithm = createRankedPopulation({ selection: 'tournament', tournamentSize: 3, seed: 5 }, FITNESS);
+    const random = new Random(5);
+    const expected = Array.from({ length: 50 }, () =>
+        Math.min(random.nextInt(8), random.nextInt(8), random.nextInt(8)));
+    assert.deepStrictEqual(drawParents(geneticAlgorithm, 50), expected);
+});
+
+test('roulette selection picks in proportion to fitness and never picks zero fitness', () => {
+    const geneticAlgorithm = createRankedPopulation({ selection: 'roulette', seed: 5 }, FITNESS);
+    const random = new Random(5);
+    const parents = drawParents(geneticAlgorithm, 50);
+    assert.deepStrictEqual(parents, Array.from({ length: 50 }, () => expectedProportional(random, FITNESS)));
+    assert.ok(parents.every(index => FITNESS[index] > 0));
+});
+
+test('rank selection weights positions linearly by rankPressure', () => {
+    const geneticAlgorithm = createRankedPopulation({ selection: 'rank', rankPressure: 2, seed: 5 }, FITNESS);
+    const random = new Random(5);
+    const weights = FITNESS.map((value, i) => 2 - 2 * i / 7); // The worst individual gets weight 0
+    const parents = drawParents(geneticAlgorithm, 50);
+    assert.deepStrictEqual(parents, Array.from({ length: 50 }, () => expectedProportional(random, weights)));
+    assert.ok(!parents.includes(7));
+});
+
+test('truncation selection picks uniformly from the best truncationRatio', () => {
+    const geneticAlgorithm = createRankedPopulation({ selection: 'truncation', truncationRatio: 0.5, seed: 5 }, FITNESS);
+    const random = new Random(5);
+    const parents = drawParents(geneticAlgorithm, 50);
+    assert.deepStrictEqual(parents, Array.from({ length: 50 }, () => random.nextInt(4)));
+    assert.ok(parents.every(index => index < 4));
+});
+
+test('top2 selection always breeds from the two best individuals', () => {
+    const geneticAlgorithm = createRankedPopulation({ seed: 5 }, FITNESS);
+    assert.strictEqual(geneticAlgorithm.selection, 'top2');
+    const state = geneticAlgorithm.random.getState();
+    for (let i = 0; i < 5; i++) {
+        const [parent1, parent2] = geneticAlgorithm._selectParents();
+        assert.strictEqual(parent1, geneticAlgorithm.population[0]);
+        assert.strictEqual(parent2, geneticAlgorithm.population[1]);
+    }
+    assert.deepStrictEqual(geneticAlgorithm.random.getState(), state);
+});
+
+test('breeding keeps the elites and builds children from the selected parents', () => {
+    const trainer = createTrainer();
+    const geneticAlgorithm = new GeneticAlgorithm(trainer.grid, trainer.neuralNetwork, trainer.cellularAutomata, {
+        populationSize: 5, eliteCount: 2, selection: 'top2', seed: 5
+    });
+    geneticAlgorithm.mutationRate = 0; // Children are then pure uniform crossovers of their parents
+    geneticAlgorithm._initializePopulation();
+    geneticAlgorithm.population.forEach((individual, i) => { individual.fitness = 5 - i; });
+    
+    const values = network => [].concat(...network.exportWeights().map(weight => weight.values));
+    const [best, second] = geneticAlgorithm.population.slice(0, 2).map(individual => values(individual.network));
+    geneticAlgorithm._breedNextGeneration();
+    
+    const next = geneticAlgorithm.population.map(individual => values(individual.network));
+    assert.strictEqual(next.length, 5);
+    assert.deepStrictEqual(next[0], best);
+    assert.deepStrictEqual(next[1], second);
+    for (const child of next.slice(2)) {
+        assert.ok(child.every((value, i) => value === best[i] || value === second[i]));
+    }
+    
+    geneticAlgorithm.dispose();
+    disposeTrainer(trainer);
+});
+
+test('checkpoints without a selection key load with top2 selection', async () => {
+    const trainer = createTrainer({ selection: 'rank' });
+    await trainer.train(TARGET, 1);
+    const checkpoint = JSON.parse(JSON.stringify(trainer.saveCheckpoint()));
+    delete checkpoint.hyperparameters.selection;
+    disposeTrainer(trainer);
+    
+    const resumed = createTrainer({ selection: 'tournament' });
+    resumed.loadCheckpoint(checkpoint);
+    assert.strictEqual(resumed.geneticAlgorithm.selection, 'top2');
+    assert.strictEqual(resumed.selection, 'top2');
+    disposeTrainer(resumed);
+});
+
+test('batched evaluation falls back only on capability errors, reports why and is retried next run', async () => {
+    const trainer = createTrainer();
+    const geneticAlgorithm = trainer.geneticAlgorithm;
+    const batched = geneticAlgorithm._evaluatePopulationBatched;
+    
+    geneticAlgorithm._evaluatePopulationBatched = () => { throw new Error('Batched evaluation does not support tanh activation'); };
+    await geneticAlgorithm.train(TARGET, 1, 4);
+    assert.strictEqual(geneticAlgorithm.batchedEvaluation, false);
+    assert.strictEqual(geneticAlgorithm.batchedFallbackReason, 'Batched evaluation does not support tanh activation');
+    
+    let batchedCalls = 0;
+    geneticAlgorithm._evaluatePopulationBatched = function(...args) {
+        batchedCalls++;
+        return batched.apply(this, args);
+    };
+    await geneticAlgorithm.train(TARGET, 1, 4, null, { resume: true });
+    assert.ok(batchedCalls > 0);
+    assert.strictEqual(geneticAlgorithm.batchedEvaluation, true);
+    assert.strictEqual(geneticAlgorithm.batchedFallbackReason, null);
+    
+    geneticAlgorithm._evaluatePopulationBatched = () => { throw new TypeError('Cannot read properties of undefined'); };
+    await assert.rejects(geneticAlgorithm.train(TARGET, 1, 4, null, { resume: true }), TypeError);
+    
+    disposeTrainer(trainer);
+});
+
+test('damage needs at least one recovery step so the damaged grid is never scored as is', () => {
+    assert.throws(() => GeneticAlgorithm.validateHyperparameters({ damage: 'disc', recoverySteps: 0 }), /at least 1/);
+    assert.doesNotThrow(() => GeneticAlgorithm.validateHyperparameters({ damage: 'rect', recoverySteps: 1 }));
+    assert.doesNotThrow(() => GeneticAlgorithm.validateHyperparameters({ damage: 'none', recoverySteps: 0 }));
+    
+    const trainer = createTrainer();
+    assert.throws(() => trainer.setConfig({ damage: 'disc', recoverySteps: 0 }), /at least 1/);
+    disposeTrainer(trainer);
+});
+
+test('non-dominated sorting splits objective vectors into Pareto fronts', () => {
+    const vectors = [[1, 3], [2, 2], [3, 1], [2, 3], [3, 3], [4, 4], [1, 3]];
+    assert.deepStrictEqual(GeneticAlgorithm.nonDominatedSort(vectors), [[0, 1, 2, 6], [3], [4], [5]]);
+    assert.deepStrictEqual(GeneticAlgorithm.nonDominatedSort([]), []);
+});
+
+test('crowding distance favours the extremes and sparse regions of a front', () => {
+    assert.deepStrictEqual(GeneticAlgorithm.crowdingDistances([[1, 3], [2, 2], [3, 1]]), [Infinity, 2, Infinity]);
+    const distances = GeneticAlgorithm.crowdingDistances([[0, 4], [1, 3], [1.5, 2.5], [4, 0]]);
+    assert.ok(distances[1] < distances[2]); // [1, 3] is squeezed between close neighbours
+});
+
+test('weighted objectives reduce to the shape loss without a persistence window', () => {
+    const objectives = { shape: 0.2, persistence: 0.4, stability: 0.9 };
+    const geneticAlgorithm = createRankedPopulation({}, []);
+    assert.strictEqual(geneticAlgorithm._combineObjectives(objectives), 0.2);
+    
+    geneticAlgorithm.persistenceSteps = 5;
+    geneticAlgorithm.shapeWeight = 2;
+    geneticAlgorithm.stabilityWeight = 0;
+    assert.strictEqual(geneticAlgorithm._combineObjectives(objectives), (2 * 0.2 + 0.4) / 3);
+});
+
+test('Pareto ranking orders by front, puts the lowest-loss first-front individual on top and assigns fitness', () => {
+    const geneticAlgorithm = createRankedPopulation({ fitnessMode: 'pareto', persistenceSteps: 5 }, []);
+    const individual = (name, shape, persistence, stability) => {
+        const objectives = { shape, persistence, stability };
+        return { name, objectives, loss: geneticAlgorithm._combineObjectives(objectives) };
+    };
+    geneticAlgorithm.population = [
+        individual('dominated', 0.5, 0.5, 0.5),
+        individual('stable', 0.4, 0.4, 0),
+        individual('accurate', 0, 0.3, 0.3),
+        individual('worst', 0.9, 0.9, 0.9),
+        individual('balanced', 0.1, 0.1, 0.1)
+    ];
+    geneticAlgorithm._rankPopulation();
+    
+    const names = geneticAlgorithm.population.map(ind => ind.name);
+    assert.strictEqual(names[0], 'balanced'); // Lowest combined loss of the first front
+    assert.deepStrictEqual(names.slice(1, 3).sort(), ['accurate', 'stable']);
+    assert.deepStrictEqual(names.slice(3), ['dominated', 'worst']);
+    assert.deepStrictEqual(geneticAlgorithm.population.map(ind => ind.fitness), [5, 4, 3, 2, 1]);
+});
@@ -0,0 +1,165 @@
+/**
+ * SamplePool.test.js - Sampling, reseeding and persistence of the sample pool, and its use in gradient mode
+ * Run with `npm test` (Node's built-in test runner)
+ */
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { tf, Random, Grid, NeuralNetwork, CellularAutomata, Game, SamplePool, Trainer } = require('../js/node');
+
+const SEED_STATE = Float32Array.from([0, 0, 1, 0]);
+
+/**
+ * Create a pool whose state i is filled with the value i
+ * @param {Array<number|null>} losses - Loss of each state (its length is the pool size)
+ * @returns {SamplePool} Pool drawing from a seeded generator
+ */
+function createPool(losses) {
+    const pool = new SamplePool(SEED_STATE, { size: losses.length, random: new Random(3) });
+    pool.update(losses.map((loss, i) => i), losses.map((loss, i) => new Float32Array(SEED_STATE.length).fill(i)), losses);
+    return pool;
+}
+
+/**
+ * Create a gradient-mode trainer with a sample pool on a 9×9 grid
+ * @returns {Object} { trainer, neuralNetwork, targetShape }
+ */
+function createGradientTrainer() {
+    const grid = new Grid(9, 9);
+    const neuralNetwork = new NeuralNetwork({ hiddenChannels: grid.hiddenChannels, neighborhoodSize: grid.neighborhoodSize });
+    neuralNetwork.initialize(11);
+    const cellularAutomata = new CellularAutomata(grid, neuralNetwork);
+    const trainer = new Trainer(grid, neuralNetwork, cellularAutomata, {
+        mode: 'gradient',
+        genSteps: 3,
+        poolSize: 6,
+        poolBatchSize: 2,
+        seed: 11
+    });
+    
+    const targetShape = Game.createEmptyTarget(5, 5);
+    targetShape[2][1] = targetShape[2][2] = targetShape[2][3] = true;
+    return { trainer: trainer, neuralNetwork: neuralNetwork, targetShape: targetShape };
+}
+
+test('a new pool holds copies of the seed state', () => {
+    const seedState = Float32Array.from(SEED_STATE);
+    const pool = new SamplePool(seedState, { size: 3 });
+    seedState[0] = 5;
+    
+    assert.strictEqual(pool.states.length, 3);
+    pool.states.forEach(state => assert.deepStrictEqual(state, SEED_STATE));
+    assert.deepStrictEqual(pool.losses, [null, null, null]);
+    assert.notStrictEqual(pool.states[0], pool.states[1]);
+    assert.throws(() => new SamplePool(null), /requires a seed state/);
+});
+
+test('sample draws distinct indices and returns copies of their states', () => {
+    const pool = createPool([null, null, null, null, null]);
+    
+    for (let i = 0; i < 50; i++) {
+        const batch = pool.sample(3);
+        assert.strictEqual(new Set(batch.indices).size, 3);
+        batch.indices.forEach((index, j) => {
+            assert.ok(index >= 0 && index < 5);
+            assert.deepStrictEqual(batch.states[j], pool.states[index]);
+            assert.notStrictEqual(batch.states[j], pool.states[index]);
+        });
+    }
+    
+    // The batch is capped at the pool size
+    assert.deepStrictEqual(pool.sample(8).indices.slice().sort(), [0, 1, 2, 3, 4]);
+});
+
+test('sample replaces the highest-loss state of the batch by the seed, skipping states never written back', () => {
+    const pool = createPool([0.2, null, 0.9, 0.5]);
+    
+    const full = pool.sample(4);
+    full.indices.forEach((index, j) => {
+        assert.deepStrictEqual(Array.from(full.states[j]), index === 2 ? Array.from(SEED_STATE) : Array.from(pool.states[index]));
+    });
+    
+    const seeds = createPool([null, null]).sample(2);
+    seeds.indices.forEach((index, j) => assert.deepStrictEqual(seeds.states[j], new Float32Array(SEED_STATE.length).fill(index)));
+});
+
+test('update writes states and losses back, and a serialized pool restores them', () => {
+    const pool = createPool([0.1, 0.2, 0.3]);
+    const written = Float32Array.from([4, 3, 2, 1]);
+    pool.update([1], [written], [0.05]);
+    written[0] = 0;
+    
+    assert.deepStrictEqual(Array.from(pool.states[1]), [4, 3, 2, 1]);
+    assert.deepStrictEqual(pool.losses, [0.1, 0.05, 0.3]);
+    
+    const restored = SamplePool.deserialize(JSON.parse(JSON.stringify(pool.serialize())), new Random(3));
+    assert.strictEqual(restored.size, 3);
+    assert.deepStrictEqual(restored.seedState, pool.seedState);
+    assert.deepStrictEqual(restored.states, pool.states);
+    assert.deepStrictEqual(restored.losses, pool.losses);
+    assert.throws(() => SamplePool.deserialize({ size: 2, states: [[0]] }), /Invalid sample pool data/);
+});
+
+test('gradient mode ranks pooled states by their pixel loss and keeps no tensors', async () => {
+    const { trainer, neuralNetwork, targetShape } = createGradientTrainer();
+    const game = new Game(new Grid(9, 9), new CellularAutomata(new Grid(9, 9), neuralNetwork));
+    const update = SamplePool.prototype.update;
+    const written = [];
+    SamplePool.prototype.update = function(indices, states, losses) {
+        written.push({ states: states, losses: losses });
+        return update.call(this, indices, states, losses);
+    };
+    
+    try {
+        const tensorsBefore = tf.memory().numTensors;
+        await trainer.train(targetShape, 2);
+        assert.strictEqual(tf.memory().numTensors, tensorsBefore);
+    } finally {
+        SamplePool.prototype.update = update;
+        trainer.dispose();
+        neuralNetwork.dispose();
+    }
+    
+    assert.strictEqual(written.length, 4);
+    for (const { states, losses } of written) {
+        game.grid.fromArray(states[0]);
+        assert.strictEqual(losses[0], game.calculateError(targetShape));
+    }
+});
+
+test('gradient mode frees pooled start and final states when an iteration throws', async () => {
+    const { trainer, neuralNetwork, targetShape } = createGradientTrainer();
+    const cellularAutomata = trainer.cellularAutomata;
+    const updateTensor = cellularAutomata.updateTensor;
+    const runTensors = [];
+    let calls = 0;
+    cellularAutomata.updateTensor = function(state) {
+        // genSteps is 3: calls 1 and 4 receive the pooled start states, call 3 returns the first run's final state.
+        // Fail in the second run, after the first has kept its final state
+        calls++;
+        if (calls % 3 === 1) {
+            runTensors.push(state);
+        }
+        if (calls === 5) {
+            throw new Error('update failed');
+        }
+        const next = updateTensor.call(this, state);
+        if (calls === 3) {
+            runTensors.push(next);
+        }
+        return next;
+    };
+    
+    try {
+        // tf.js itself does not free the intermediates of a throwing optimizer.minimize(), so only the
+        // tensors the trainer owns are checked
+        await assert.rejects(trainer.train(targetShape, 1), /update failed/);
+        assert.strictEqual(runTensors.length, 3);
+        runTensors.forEach(tensor => assert.strictEqual(tensor.isDisposed, true));
+        assert.strictEqual(trainer.isTraining, false);
+    } finally {
+        trainer.dispose();
+        neuralNetwork.dispose();
+    }
+});
@@ -0,0 +1,77 @@
+/**
+ * StoppingCriteria.test.js - Early stopping rules and the reasons they report
+ * Run with `npm test` (Node's built-in test runner)
+ */
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { Grid, NeuralNetwork, CellularAutomata, Game, StoppingCriteria, Trainer } = require('../js/node');
+
+test('every rule is disabled by default', () => {
+    const criteria = new StoppingCriteria();
+    for (const loss of [1, 0.5, 0.5, 0.5, 0]) {
+        assert.strictEqual(criteria.update(loss), null);
+    }
+});
+
+test('targetLoss stops once the loss is at most the target', () => {
+    const criteria = new StoppingCriteria({ targetLoss: 0.1 });
+    assert.strictEqual(criteria.update(0.3), null);
+    assert.strictEqual(criteria.update(0.1), 'targetLoss');
+    assert.strictEqual(new StoppingCriteria({ targetLoss: 0 }).update(0), 'targetLoss');
+});
+
+test('patience stops after that many generations without a new best loss', () => {
+    const criteria = new StoppingCriteria({ patience: 2 });
+    assert.strictEqual(criteria.update(0.5), null);
+    assert.strictEqual(criteria.update(0.6), null);
+    assert.strictEqual(criteria.update(0.4), null); // New best: the count restarts
+    assert.strictEqual(criteria.update(0.4), null); // Equal is not an improvement
+    assert.strictEqual(criteria.update(0.45), 'patience');
+    assert.strictEqual(criteria.bestLoss, 0.4);
+});
+
+test('timeBudget stops once the run has taken that many seconds', () => {
+    const criteria = new StoppingCriteria({ timeBudget: 5 });
+    assert.strictEqual(criteria.update(1), null);
+    criteria.startTime -= 5000;
+    assert.strictEqual(criteria.update(1), 'timeBudget');
+    
+    criteria.reset();
+    assert.strictEqual(criteria.update(1), null);
+    assert.strictEqual(criteria.bestLoss, 1);
+});
+
+test('every reason has a description', () => {
+    for (const reason of ['targetLoss', 'patience', 'timeBudget', 'maxGenerations', 'stopped']) {
+        assert.notStrictEqual(StoppingCriteria.describe(reason), reason);
+    }
+    assert.strictEqual(StoppingCriteria.describe('unknown'), 'unknown');
+});
+
+test('Trainer ends a run early and records the reason', async () => {
+    const grid = new Grid(9, 9);
+    const neuralNetwork = new NeuralNetwork({ hiddenChannels: grid.hiddenChannels, neighborhoodSize: grid.neighborhoodSize });
+    neuralNetwork.initialize(2);
+    const cellularAutomata = new CellularAutomata(grid, neuralNetwork);
+    const targetShape = Game.createEmptyTarget(5, 5);
+    targetShape[2][2] = true;
+    
+    // Every loss is at most 1, so a target loss of 1 stops after the first generation
+    const trainer = new Trainer(grid, neuralNetwork, cellularAutomata, { populationSize: 4, genSteps: 2, seed: 1, targetLoss: 1 });
+    const reasons = [];
+    const losses = await trainer.train(targetShape, 5, (generation, loss, shouldContinue, stopReason) => {
+        reasons.push(stopReason);
+    });
+    assert.strictEqual(losses.length, 1);
+    assert.deepStrictEqual(reasons, ['targetLoss']);
+    assert.strictEqual(trainer.getStopReason(), 'targetLoss');
+    
+    trainer.setConfig({ targetLoss: null });
+    await trainer.train(targetShape, 2);
+    assert.strictEqual(trainer.getStopReason(), 'maxGenerations');
+    
+    trainer.dispose();
+    neuralNetwork.dispose();
+});